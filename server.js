@@ -197,10 +197,20 @@ app.get('/api/visualizations', (req, res) => {
     distribution: generateDistributionCharts(),
     correlation: generateCorrelationMatrix(),
     trends: generateTrendCharts(),
-    geographic: generateGeographicCharts()
+    geographic: generateGeographicCharts(),
+    beta_diversity: loadBetaDiversity()
   });
 });
 
+// Beta diversity comes from process-all.js, not from the FAOSTAT preprocessing above
+app.get('/api/visualizations/beta-diversity', (req, res) => {
+  const betaDiversity = loadBetaDiversity();
+  if (!betaDiversity) {
+    return res.status(404).json({ error: 'No beta diversity results; enable betaDiversity and run process-all.js' });
+  }
+  res.json(betaDiversity);
+});
+
 // Serve React app
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'dist', 'index.html'));
@@ -521,6 +531,14 @@ function generateGeographicCharts() {
   return { type: 'geographic', data: 'Mock geographic data' };
 }
 
+function loadBetaDiversity() {
+  const filePath = './processed_data/beta_diversity/beta_diversity.json';
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
 app.listen(PORT, () => {
   console.log(`🚀 FAOSTAT ML Pipeline server running on port ${PORT}`);
   console.log(`📊 Frontend: http://localhost:3000`);
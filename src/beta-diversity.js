@@ -0,0 +1,237 @@
+import fs from 'fs';
+import path from 'path';
+import { createRandom } from './sequence-utils.js';
+
+const METRICS = ['braycurtis', 'jaccard', 'aitchison'];
+const PCOA_AXES = 3;
+// Treatment groups are only encoded in the sample names (e.g. 1717.1.high.fertilizer)
+const DEFAULT_GROUP_PATTERN = '^[^.]+\\.[^.]+\\.(.+)$';
+
+export class BetaDiversity {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? false;
+    this.table = options.table || 'auto';
+    this.metrics = options.metrics || METRICS;
+    this.groupColumn = options.groupColumn || 'sample_name';
+    this.groupPattern = options.groupPattern === undefined ? DEFAULT_GROUP_PATTERN : options.groupPattern;
+    this.permutations = options.permutations ?? 999;
+    this.pseudocount = options.pseudocount ?? 0.5;
+    this.seed = options.seed ?? 42;
+
+    const unknown = this.metrics.filter(metric => !METRICS.includes(metric));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown beta diversity metric "${unknown[0]}" (expected ${METRICS.join(', ')})`);
+    }
+  }
+
+  braycurtis(a, b) {
+    let difference = 0;
+    let total = 0;
+    for (let i = 0; i < a.length; i++) {
+      difference += Math.abs(a[i] - b[i]);
+      total += a[i] + b[i];
+    }
+    return total > 0 ? difference / total : 0;
+  }
+
+  jaccard(a, b) {
+    let shared = 0;
+    let union = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] > 0 || b[i] > 0) union++;
+      if (a[i] > 0 && b[i] > 0) shared++;
+    }
+    return union > 0 ? 1 - shared / union : 0;
+  }
+
+  clr(counts) {
+    const logs = counts.map(count => Math.log(count + this.pseudocount));
+    const mean = logs.reduce((sum, value) => sum + value, 0) / logs.length;
+    return logs.map(value => value - mean);
+  }
+
+  distanceMatrix(vectors, metric) {
+    // Aitchison distance is the Euclidean distance between CLR-transformed compositions
+    const prepared = metric === 'aitchison' ? vectors.map(counts => this.clr(counts)) : vectors;
+    const distance = metric === 'aitchison'
+      ? (a, b) => Math.sqrt(a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0))
+      : (a, b) => this[metric](a, b);
+
+    const matrix = prepared.map(() => new Array(prepared.length).fill(0));
+    for (let i = 0; i < prepared.length; i++) {
+      for (let j = i + 1; j < prepared.length; j++) {
+        matrix[i][j] = matrix[j][i] = distance(prepared[i], prepared[j]);
+      }
+    }
+    return matrix;
+  }
+
+  symmetricEigen(matrix) {
+    // Cyclic Jacobi rotations; sample counts are small enough that O(n^3) sweeps are fine
+    const n = matrix.length;
+    const a = matrix.map(row => [...row]);
+    const vectors = a.map((row, i) => row.map((value, j) => (i === j ? 1 : 0)));
+
+    for (let sweep = 0; sweep < 100; sweep++) {
+      let offDiagonal = 0;
+      for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) offDiagonal += a[i][j] ** 2;
+      }
+      if (offDiagonal < 1e-20) break;
+
+      for (let p = 0; p < n; p++) {
+        for (let q = p + 1; q < n; q++) {
+          if (Math.abs(a[p][q]) < 1e-300) continue;
+          const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+          const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+          const c = 1 / Math.sqrt(t * t + 1);
+          const s = t * c;
+
+          for (let k = 0; k < n; k++) {
+            const akp = a[k][p];
+            const akq = a[k][q];
+            a[k][p] = c * akp - s * akq;
+            a[k][q] = s * akp + c * akq;
+          }
+          for (let k = 0; k < n; k++) {
+            const apk = a[p][k];
+            const aqk = a[q][k];
+            a[p][k] = c * apk - s * aqk;
+            a[q][k] = s * apk + c * aqk;
+          }
+          for (let k = 0; k < n; k++) {
+            const vkp = vectors[k][p];
+            const vkq = vectors[k][q];
+            vectors[k][p] = c * vkp - s * vkq;
+            vectors[k][q] = s * vkp + c * vkq;
+          }
+        }
+      }
+    }
+
+    return a.map((row, i) => ({ value: row[i], vector: vectors.map(vectorRow => vectorRow[i]) }))
+      .sort((x, y) => y.value - x.value);
+  }
+
+  pcoa(distances) {
+    // Classical scaling: double-centre -d^2/2 and scale eigenvectors by sqrt(eigenvalue)
+    const n = distances.length;
+    const squared = distances.map(row => row.map(value => -0.5 * value * value));
+    const rowMeans = squared.map(row => row.reduce((sum, value) => sum + value, 0) / n);
+    const grandMean = rowMeans.reduce((sum, value) => sum + value, 0) / n;
+    const centered = squared.map((row, i) => row.map((value, j) => value - rowMeans[i] - rowMeans[j] + grandMean));
+
+    const eigen = this.symmetricEigen(centered);
+    const positiveTotal = eigen.reduce((sum, { value }) => sum + Math.max(value, 0), 0);
+    const axes = eigen.slice(0, Math.min(PCOA_AXES, n)).filter(({ value }) => value > 1e-12);
+
+    return {
+      proportion_explained: axes.map(({ value }) => +(value / positiveTotal).toFixed(4)),
+      coordinates: Array.from({ length: n }, (_, i) => axes.map(({ value, vector }) => +(vector[i] * Math.sqrt(value)).toFixed(6)))
+    };
+  }
+
+  pseudoF(distances, groups, groupSizes) {
+    const n = distances.length;
+    let totalSS = 0;
+    let withinSS = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const squared = distances[i][j] ** 2;
+        totalSS += squared;
+        if (groups[i] === groups[j]) withinSS += squared / groupSizes.get(groups[i]);
+      }
+    }
+    totalSS /= n;
+    const groupCount = groupSizes.size;
+    return ((totalSS - withinSS) / (groupCount - 1)) / (withinSS / (n - groupCount));
+  }
+
+  permanova(distances, groups) {
+    // Anderson (2001): pseudo-F on the distances, p-value from label permutations
+    const groupSizes = new Map();
+    groups.forEach(group => groupSizes.set(group, (groupSizes.get(group) || 0) + 1));
+    if (groupSizes.size < 2 || groupSizes.size >= groups.length) return null;
+
+    const statistic = this.pseudoF(distances, groups, groupSizes);
+    const random = createRandom(this.seed);
+    const shuffled = [...groups];
+    let atLeastAsExtreme = 0;
+    for (let p = 0; p < this.permutations; p++) {
+      for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+      }
+      if (this.pseudoF(distances, shuffled, groupSizes) >= statistic) atLeastAsExtreme++;
+    }
+
+    return {
+      test_statistic_name: 'pseudo-F',
+      test_statistic: +statistic.toFixed(4),
+      p_value: +((atLeastAsExtreme + 1) / (this.permutations + 1)).toFixed(4),
+      permutations: this.permutations,
+      sample_size: groups.length,
+      groups: Object.fromEntries(groupSizes)
+    };
+  }
+
+  sampleGroup(sample, mappingMap) {
+    const record = mappingMap.get(sample);
+    if (!record || record[this.groupColumn] === undefined) return null;
+    const value = String(record[this.groupColumn]);
+    if (!this.groupPattern) return value;
+    const match = value.match(new RegExp(this.groupPattern));
+    return match ? (match[1] ?? match[0]) : null;
+  }
+
+  analyze(sampleCounts, mappingData) {
+    const samples = [...sampleCounts.keys()];
+    const vectors = samples.map(sample => sampleCounts.get(sample));
+    const mappingMap = new Map(mappingData.map(record => [record.sample_name, record]));
+    const groups = samples.map(sample => this.sampleGroup(sample, mappingMap));
+    const grouped = samples.map((sample, index) => index).filter(index => groups[index] !== null);
+
+    const metrics = {};
+    this.metrics.forEach(metric => {
+      const distances = this.distanceMatrix(vectors, metric);
+      const groupedDistances = grouped.map(i => grouped.map(j => distances[i][j]));
+      metrics[metric] = {
+        distances,
+        pcoa: samples.length >= 3 ? this.pcoa(distances) : null,
+        permanova: this.permanova(groupedDistances, grouped.map(index => groups[index]))
+      };
+    });
+
+    return { samples, groups, group_column: this.groupColumn, metrics };
+  }
+
+  write(outputDir, result) {
+    const betaDir = path.join(outputDir, 'beta_diversity');
+    if (!fs.existsSync(betaDir)) {
+      fs.mkdirSync(betaDir, { recursive: true });
+    }
+
+    Object.entries(result.metrics).forEach(([metric, { distances, pcoa }]) => {
+      const lines = [['', ...result.samples].join('\t')];
+      distances.forEach((row, i) => lines.push([result.samples[i], ...row.map(value => +value.toFixed(6))].join('\t')));
+      fs.writeFileSync(path.join(betaDir, `${metric}_distance.tsv`), lines.join('\n') + '\n');
+
+      if (pcoa) {
+        const axes = pcoa.proportion_explained.map((value, index) => `PC${index + 1}`);
+        const pcoaLines = [['sample', 'group', ...axes].join('\t')];
+        pcoa.coordinates.forEach((coordinates, i) => pcoaLines.push([result.samples[i], result.groups[i] ?? '', ...coordinates].join('\t')));
+        fs.writeFileSync(path.join(betaDir, `${metric}_pcoa.tsv`), pcoaLines.join('\n') + '\n');
+      }
+    });
+
+    // The JSON carries what the visualization tab plots: ordinations and tests, not full matrices
+    const summary = {
+      group_column: result.group_column,
+      samples: result.samples.map((sample, i) => ({ sample, group: result.groups[i] })),
+      metrics: Object.fromEntries(Object.entries(result.metrics).map(([metric, { pcoa, permanova }]) => [metric, { pcoa, permanova }]))
+    };
+    const jsonFile = path.join(betaDir, 'beta_diversity.json');
+    fs.writeFileSync(jsonFile, JSON.stringify(summary, null, 2));
+    return jsonFile;
+  }
+}
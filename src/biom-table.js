@@ -0,0 +1,150 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+
+const BIOM_FORMAT = 'Biological Observation Matrix 1.0.0';
+const RANK_PREFIXES = ['k__', 'p__', 'c__', 'o__', 'f__', 'g__'];
+
+// BIOM 1.0 is plain JSON; 2.1 is HDF5, which is converted with the biom-format
+// command-line tool (pip install biom-format) rather than written natively
+export class BiomTable {
+  constructor({ id = null, type = 'OTU table', rows, columns, data }) {
+    this.id = id;
+    this.type = type;
+    this.rows = rows;
+    this.columns = columns;
+    this.data = data;
+  }
+
+  static fromFeatureTable(features, sampleMetadata = new Map(), observationMetadata = () => null, id = null) {
+    const samples = [...new Set(features.flatMap(feature => [...feature.samples.keys()]))].sort();
+    const sampleIndex = new Map(samples.map((sample, index) => [sample, index]));
+    const data = [];
+
+    features.forEach((feature, row) => {
+      feature.samples.forEach((count, sample) => {
+        if (count > 0) data.push([row, sampleIndex.get(sample), count]);
+      });
+    });
+    data.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+    return new BiomTable({
+      id,
+      rows: features.map(feature => ({ id: feature.id, metadata: observationMetadata(feature) })),
+      columns: samples.map(sample => ({ id: sample, metadata: sampleMetadata.get(sample) || null })),
+      data
+    });
+  }
+
+  static taxonomyMetadata(result, depth) {
+    // QIIME-style lineage: one prefixed entry per rank, empty past the confident depth
+    return {
+      taxonomy: RANK_PREFIXES.map((prefix, index) => prefix + (index < depth ? result.lineage[index] : '')),
+      confidence: depth > 0 ? result.confidence[depth - 1] : 0
+    };
+  }
+
+  get shape() {
+    return [this.rows.length, this.columns.length];
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      format: BIOM_FORMAT,
+      format_url: 'http://biom-format.org',
+      type: this.type,
+      generated_by: 'faostat-ml-pipeline',
+      date: new Date().toISOString(),
+      rows: this.rows,
+      columns: this.columns,
+      matrix_type: 'sparse',
+      matrix_element_type: 'int',
+      shape: this.shape,
+      data: this.data
+    };
+  }
+
+  get(observationId, sampleId) {
+    const row = this.rows.findIndex(observation => observation.id === observationId);
+    const column = this.columns.findIndex(sample => sample.id === sampleId);
+    const entry = this.data.find(([r, c]) => r === row && c === column);
+    return entry ? entry[2] : 0;
+  }
+
+  toDense() {
+    const matrix = this.rows.map(() => new Array(this.columns.length).fill(0));
+    this.data.forEach(([row, column, value]) => { matrix[row][column] = value; });
+    return matrix;
+  }
+
+  async write(outputFile, format = 'json') {
+    if (format === 'json') {
+      fs.writeFileSync(outputFile, JSON.stringify(this.toJSON()));
+      return outputFile;
+    }
+    if (format !== 'hdf5') {
+      throw new Error(`Unknown BIOM format "${format}" (expected json, hdf5)`);
+    }
+
+    const jsonFile = outputFile.replace(/(\.biom)?$/, '.json.biom');
+    fs.writeFileSync(jsonFile, JSON.stringify(this.toJSON()));
+    try {
+      await runBiom(['convert', '-i', jsonFile, '-o', outputFile, '--to-hdf5', '--table-type', this.type]);
+    } catch (error) {
+      throw new Error(`${error.message} (BIOM 1.0 JSON kept at ${jsonFile})`);
+    }
+    fs.unlinkSync(jsonFile);
+    return outputFile;
+  }
+
+  static async read(inputFile) {
+    const header = Buffer.alloc(8);
+    const fd = fs.openSync(inputFile, 'r');
+    fs.readSync(fd, header, 0, 8, 0);
+    fs.closeSync(fd);
+
+    // HDF5 files start with \x89HDF
+    if (header.toString('latin1', 1, 4) === 'HDF') {
+      const jsonFile = path.join(os.tmpdir(), `biom-${process.pid}-${Date.now()}.json`);
+      await runBiom(['convert', '-i', inputFile, '-o', jsonFile, '--to-json']);
+      try {
+        return BiomTable.fromJSON(JSON.parse(fs.readFileSync(jsonFile, 'utf8')));
+      } finally {
+        fs.unlinkSync(jsonFile);
+      }
+    }
+    return BiomTable.fromJSON(JSON.parse(fs.readFileSync(inputFile, 'utf8')));
+  }
+
+  static fromJSON(json) {
+    if (!json.format || !json.format.startsWith('Biological Observation Matrix 1.')) {
+      throw new Error(`Not a BIOM 1.0 table: format is "${json.format}"`);
+    }
+
+    let data = json.data;
+    if (json.matrix_type === 'dense') {
+      data = [];
+      json.data.forEach((values, row) => values.forEach((value, column) => {
+        if (value !== 0) data.push([row, column, value]);
+      }));
+    }
+    return new BiomTable({ id: json.id, type: json.type, rows: json.rows, columns: json.columns, data });
+  }
+}
+
+function runBiom(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('biom', args, { stdio: 'pipe' });
+    let stderr = '';
+    child.stderr.on('data', (data) => { stderr += data.toString(); });
+    child.on('close', (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(`biom ${args[0]} failed with code ${code}: ${stderr}`));
+    });
+    child.on('error', (error) => {
+      reject(new Error(`BIOM 2.1 (HDF5) needs the biom-format command-line tool: ${error.message}`));
+    });
+  });
+}
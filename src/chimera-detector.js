@@ -0,0 +1,229 @@
+import fs from 'fs';
+import path from 'path';
+
+const ACTIONS = ['discard', 'flag'];
+// UCHIME's vote weighting: "no" votes count beta times, n is a pseudo-count of no votes
+const BETA = 8;
+const NO_PSEUDOCOUNT = 1.4;
+// Candidate parents are picked per query chunk by shared 8-mers, as UCHIME does
+const WORD_LENGTH = 8;
+const CHUNKS = 4;
+
+// UCHIME-style de novo check: a sequence is tested against more abundant, non-chimeric
+// sequences as a two-parent model with a single crossover point
+export class ChimeraDetector {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? false;
+    this.abundanceSkew = options.abundanceSkew ?? 2;
+    this.minScore = options.minScore ?? 0.28;
+    this.minDiffs = options.minDiffs ?? 3;
+    this.minDivergence = options.minDivergence ?? 0.8;
+    this.action = options.action || 'discard';
+    this.maxParents = options.maxParents ?? 8;
+
+    if (!ACTIONS.includes(this.action)) {
+      throw new Error(`Unknown chimera action "${this.action}" (expected ${ACTIONS.join(', ')})`);
+    }
+    if (!Number.isInteger(this.maxParents) || this.maxParents < 2) {
+      throw new Error(`Chimera maxParents must be an integer of at least 2, got ${this.maxParents}`);
+    }
+  }
+
+  mismatchPrefix(query, parent) {
+    // prefix[k] = mismatches between query and parent over positions [0, k)
+    const prefix = new Uint32Array(query.length + 1);
+    for (let i = 0; i < query.length; i++) {
+      prefix[i + 1] = prefix[i] + (query[i] === parent[i] ? 0 : 1);
+    }
+    return prefix;
+  }
+
+  bestModel(query, parents) {
+    const length = query.length;
+    const prefixes = parents.map(parent => this.mismatchPrefix(query, parent.sequence));
+
+    let closest = 0;
+    prefixes.forEach((prefix, index) => {
+      if (prefix[length] < prefixes[closest][length]) closest = index;
+    });
+
+    let best = null;
+    for (let crossover = 1; crossover < length; crossover++) {
+      let left = 0;
+      let right = 0;
+      prefixes.forEach((prefix, index) => {
+        if (prefix[crossover] < prefixes[left][crossover]) left = index;
+        if (prefix[length] - prefix[crossover] < prefixes[right][length] - prefixes[right][crossover]) right = index;
+      });
+      if (left === right) continue;
+
+      const diffs = prefixes[left][crossover] + prefixes[right][length] - prefixes[right][crossover];
+      if (!best || diffs < best.diffs) best = { left, right, crossover, diffs };
+    }
+
+    return { closest, closestDiffs: prefixes[closest][length], model: best };
+  }
+
+  votes(query, leftParent, rightParent, crossover) {
+    const votes = { left: { yes: 0, no: 0, abstain: 0 }, right: { yes: 0, no: 0, abstain: 0 } };
+    for (let i = 0; i < query.length; i++) {
+      const q = query[i];
+      const a = leftParent[i];
+      const b = rightParent[i];
+      if (q === a && a === b) continue;
+
+      // Left of the crossover the query should follow the left parent, right of it the right one
+      const [own, other, segment] = i < crossover ? [a, b, votes.left] : [b, a, votes.right];
+      if (q === own && q !== other) segment.yes++;
+      else if (q === other && q !== own) segment.no++;
+      else segment.abstain++;
+    }
+    return votes;
+  }
+
+  check(query, candidates) {
+    const parents = candidates.filter(parent => parent.sequence.length === query.sequence.length);
+    const result = { id: query.id, abundance: query.abundance, chimera: false, score: 0, parent_a: '', parent_b: '' };
+    if (parents.length < 2) return result;
+
+    const { closest, closestDiffs, model } = this.bestModel(query.sequence, parents);
+    if (!model || model.diffs >= closestDiffs) return result;
+
+    const leftParent = parents[model.left];
+    const rightParent = parents[model.right];
+    const votes = this.votes(query.sequence, leftParent.sequence, rightParent.sequence, model.crossover);
+    const yes = votes.left.yes + votes.right.yes;
+    const no = votes.left.no + votes.right.no;
+    const abstain = votes.left.abstain + votes.right.abstain;
+    const score = yes / (BETA * (no + NO_PSEUDOCOUNT) + abstain);
+
+    const length = query.sequence.length;
+    const modelIdentity = 100 * (1 - model.diffs / length);
+    const parentIdentity = 100 * (1 - closestDiffs / length);
+    const divergence = modelIdentity - parentIdentity;
+
+    return {
+      ...result,
+      chimera: score >= this.minScore && divergence >= this.minDivergence &&
+        votes.left.yes >= this.minDiffs && votes.right.yes >= this.minDiffs,
+      score: +score.toFixed(4),
+      parent_a: leftParent.id,
+      parent_b: rightParent.id,
+      closest_parent: parents[closest].id,
+      crossover: model.crossover,
+      model_identity: +modelIdentity.toFixed(2),
+      parent_identity: +parentIdentity.toFixed(2),
+      yes_votes: yes,
+      no_votes: no,
+      abstain_votes: abstain
+    };
+  }
+
+  indexParent(position, sequence, index) {
+    const words = new Set();
+    for (let i = 0; i + WORD_LENGTH <= sequence.length; i++) words.add(sequence.substring(i, i + WORD_LENGTH));
+    words.forEach(word => {
+      if (!index.has(word)) index.set(word, []);
+      index.get(word).push(position);
+    });
+  }
+
+  candidateParents(query, accepted, eligible, index) {
+    if (eligible <= this.maxParents) return accepted.slice(0, eligible);
+
+    // The best few parents for each quarter of the query, so both sides of a crossover are covered
+    const sequence = query.sequence;
+    const chunkLength = Math.ceil(sequence.length / CHUNKS);
+    const perChunk = Math.ceil(this.maxParents / CHUNKS);
+    const chosen = new Set();
+    const counts = new Uint32Array(eligible);
+    for (let start = 0; start < sequence.length; start += chunkLength) {
+      const end = Math.min(sequence.length, start + chunkLength);
+      const words = new Set();
+      const touched = [];
+      for (let i = start; i + WORD_LENGTH <= end; i++) {
+        const word = sequence.substring(i, i + WORD_LENGTH);
+        if (words.has(word)) continue;
+        words.add(word);
+        // Postings are in acceptance order, so the eligible (abundant enough) ones come first
+        for (const position of index.get(word) || []) {
+          if (position >= eligible) break;
+          if (counts[position]++ === 0) touched.push(position);
+        }
+      }
+      // Top perChunk by shared words, earlier (more abundant) parents first on ties
+      const top = [];
+      for (const position of touched) {
+        if (accepted[position].sequence.length !== sequence.length) continue;
+        let slot = top.length;
+        while (slot > 0 && (counts[top[slot - 1]] < counts[position] ||
+          (counts[top[slot - 1]] === counts[position] && top[slot - 1] > position))) slot--;
+        if (slot < perChunk) {
+          top.splice(slot, 0, position);
+          if (top.length > perChunk) top.pop();
+        }
+      }
+      top.forEach(position => chosen.add(position));
+      touched.forEach(position => { counts[position] = 0; });
+    }
+    return [...chosen].sort((a, b) => a - b).map(position => accepted[position]);
+  }
+
+  detect(sequences) {
+    const sorted = [...sequences].sort((a, b) => b.abundance - a.abundance);
+    const accepted = [];
+    const index = new Map();
+    const results = new Map();
+
+    for (const query of sorted) {
+      // Accepted sequences are in abundance order, so the skewed-enough parents are a prefix
+      let low = 0;
+      let high = accepted.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (accepted[middle].abundance >= this.abundanceSkew * query.abundance) low = middle + 1;
+        else high = middle;
+      }
+
+      const result = this.check(query, this.candidateParents(query, accepted, low, index));
+      results.set(query.id, result);
+      if (!result.chimera) {
+        this.indexParent(accepted.length, query.sequence, index);
+        accepted.push(query);
+      }
+    }
+    return results;
+  }
+
+  write(outputDir, results) {
+    const outputFile = path.join(outputDir, 'chimeras.tsv');
+    const columns = ['id', 'abundance', 'chimera', 'score', 'parent_a', 'parent_b', 'crossover',
+      'model_identity', 'parent_identity', 'yes_votes', 'no_votes', 'abstain_votes'];
+    const lines = [columns.join('\t')];
+    results.forEach(result => {
+      lines.push(columns.map(column => {
+        if (column === 'chimera') return result.chimera ? 'Y' : 'N';
+        return result[column] ?? '';
+      }).join('\t'));
+    });
+    fs.writeFileSync(outputFile, lines.join('\n') + '\n');
+    return outputFile;
+  }
+
+  getReport(results) {
+    const chimeras = [...results.values()].filter(result => result.chimera);
+    return {
+      settings: {
+        abundance_skew: this.abundanceSkew,
+        min_score: this.minScore,
+        min_diffs: this.minDiffs,
+        min_divergence: this.minDivergence,
+        max_parents: this.maxParents,
+        action: this.action
+      },
+      sequences_checked: results.size,
+      chimeras: chimeras.length,
+      chimeric_reads: chimeras.reduce((sum, result) => sum + result.abundance, 0)
+    };
+  }
+}
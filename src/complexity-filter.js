@@ -0,0 +1,46 @@
+export class ComplexityFilter {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? false;
+    this.minBaseEntropy = options.minBaseEntropy ?? 1.5;
+    this.maxDustScore = options.maxDustScore ?? 7;
+    this.maxHomopolymer = options.maxHomopolymer ?? null;
+    this.dropDinucleotideRepeats = options.dropDinucleotideRepeats ?? false;
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = {
+      checked: 0,
+      removed: { base_entropy: 0, dust_score: 0, max_homopolymer: 0, dinucleotide_repeat: 0 }
+    };
+  }
+
+  // Works on extracted features, which already carry the complexity metrics
+  failedRule(feature) {
+    if (feature.base_entropy < this.minBaseEntropy) return 'base_entropy';
+    if (feature.dust_score > this.maxDustScore) return 'dust_score';
+    if (this.maxHomopolymer !== null && feature.max_homopolymer > this.maxHomopolymer) return 'max_homopolymer';
+    if (this.dropDinucleotideRepeats && feature.has_dinucleotide_repeat) return 'dinucleotide_repeat';
+    return null;
+  }
+
+  passes(feature) {
+    const rule = this.failedRule(feature);
+    this.stats.checked++;
+    if (rule) this.stats.removed[rule]++;
+    return rule === null;
+  }
+
+  getReport() {
+    return {
+      settings: {
+        min_base_entropy: this.minBaseEntropy,
+        max_dust_score: this.maxDustScore,
+        max_homopolymer: this.maxHomopolymer,
+        drop_dinucleotide_repeats: this.dropDinucleotideRepeats
+      },
+      checked: this.stats.checked,
+      removed: { ...this.stats.removed }
+    };
+  }
+}
@@ -29,7 +29,8 @@ const DataVisualization = ({ dataStats }) => {
     { id: 'distribution', name: 'Feature Distribution', icon: '📈' },
     { id: 'correlation', name: 'Correlation Matrix', icon: '🔗' },
     { id: 'trends', name: 'Time Trends', icon: '📉' },
-    { id: 'geographic', name: 'Geographic Analysis', icon: '🌍' }
+    { id: 'geographic', name: 'Geographic Analysis', icon: '🌍' },
+    { id: 'beta', name: 'Beta Diversity', icon: '🧫' }
   ];
 
   if (!dataStats) {
@@ -106,6 +107,10 @@ const DataVisualization = ({ dataStats }) => {
           {selectedChart === 'geographic' && (
             <GeographicAnalysis />
           )}
+
+          {selectedChart === 'beta' && (
+            <BetaDiversity betaDiversity={charts.beta_diversity} />
+          )}
         </div>
       </div>
     </div>
@@ -246,4 +251,110 @@ const GeographicAnalysis = () => {
   );
 };
 
+const GROUP_COLORS = ['#2563eb', '#16a34a', '#dc2626', '#9333ea', '#ea580c', '#0891b2', '#ca8a04', '#db2777'];
+
+const BetaDiversity = ({ betaDiversity }) => {
+  const metrics = betaDiversity ? Object.keys(betaDiversity.metrics) : [];
+  const [metric, setMetric] = useState(metrics[0]);
+
+  if (!betaDiversity) {
+    return (
+      <div className="bg-gray-50 rounded-lg p-8 text-center">
+        <div className="text-4xl mb-4">🧫</div>
+        <h3 className="text-lg font-semibold mb-2">Beta Diversity</h3>
+        <p className="text-gray-600">
+          Enable betaDiversity in pipeline.config.json and run the processing pipeline to see PCoA ordinations
+        </p>
+      </div>
+    );
+  }
+
+  const activeMetric = betaDiversity.metrics[metric] ? metric : metrics[0];
+  const { pcoa, permanova } = betaDiversity.metrics[activeMetric];
+  const groups = [...new Set(betaDiversity.samples.map(sample => sample.group || 'ungrouped'))];
+  const colorFor = (group) => GROUP_COLORS[groups.indexOf(group || 'ungrouped') % GROUP_COLORS.length];
+
+  const size = 360;
+  const padding = 30;
+  const points = pcoa ? pcoa.coordinates.map(coordinates => [coordinates[0] || 0, coordinates[1] || 0]) : [];
+  const xs = points.map(point => point[0]);
+  const ys = points.map(point => point[1]);
+  const scale = (value, min, max) => padding + ((value - min) / ((max - min) || 1)) * (size - 2 * padding);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex space-x-2">
+        {metrics.map(name => (
+          <button
+            key={name}
+            onClick={() => setMetric(name)}
+            className={`px-3 py-1 rounded-md text-sm font-medium ${
+              name === activeMetric ? 'bg-primary-600 text-white' : 'bg-gray-100 text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            {name}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="bg-gray-50 rounded-lg p-6">
+          <h4 className="text-lg font-semibold mb-4">PCoA</h4>
+          {pcoa ? (
+            <svg width={size} height={size} className="bg-white rounded">
+              {points.map(([x, y], index) => (
+                <circle
+                  key={betaDiversity.samples[index].sample}
+                  cx={scale(x, Math.min(...xs), Math.max(...xs))}
+                  cy={size - scale(y, Math.min(...ys), Math.max(...ys))}
+                  r="5"
+                  fill={colorFor(betaDiversity.samples[index].group)}
+                >
+                  <title>{betaDiversity.samples[index].sample}</title>
+                </circle>
+              ))}
+              <text x={size / 2} y={size - 5} textAnchor="middle" fontSize="12">
+                PC1 ({((pcoa.proportion_explained[0] || 0) * 100).toFixed(1)}%)
+              </text>
+              <text x="12" y={size / 2} textAnchor="middle" fontSize="12" transform={`rotate(-90 12 ${size / 2})`}>
+                PC2 ({((pcoa.proportion_explained[1] || 0) * 100).toFixed(1)}%)
+              </text>
+            </svg>
+          ) : (
+            <p className="text-gray-600">At least three samples are needed for an ordination</p>
+          )}
+        </div>
+
+        <div className="bg-gray-50 rounded-lg p-6">
+          <h4 className="text-lg font-semibold mb-4">PERMANOVA ({betaDiversity.group_column})</h4>
+          {permanova ? (
+            <div className="space-y-3">
+              <div className="flex items-center justify-between">
+                <span className="text-sm text-gray-600">Pseudo-F</span>
+                <span className="text-sm font-medium">{permanova.test_statistic}</span>
+              </div>
+              <div className="flex items-center justify-between">
+                <span className="text-sm text-gray-600">p-value ({permanova.permutations} permutations)</span>
+                <span className="text-sm font-medium">{permanova.p_value}</span>
+              </div>
+            </div>
+          ) : (
+            <p className="text-gray-600">Samples need at least two groups to test</p>
+          )}
+
+          <h4 className="text-lg font-semibold mt-6 mb-4">Groups</h4>
+          <div className="space-y-2">
+            {groups.map(group => (
+              <div key={group} className="flex items-center space-x-2">
+                <span className="w-3 h-3 rounded-full inline-block" style={{ backgroundColor: colorFor(group) }}></span>
+                <span className="text-sm text-gray-600">{group}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 export default DataVisualization;
\ No newline at end of file
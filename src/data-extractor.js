@@ -1,12 +1,98 @@
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
-import { spawn } from 'child_process';
 import { FastqParser } from './fastq-parser.js';
+import { ReadPairer } from './read-pairer.js';
+import { Demultiplexer } from './demultiplexer.js';
+import { PrimerTrimmer } from './primer-trimmer.js';
+import { ReadFilter } from './read-filter.js';
+import { ComplexityFilter } from './complexity-filter.js';
+import { QcReport } from './qc-report.js';
+import { KmerProfiler } from './kmer-profiler.js';
+import { Dereplicator } from './dereplicator.js';
+import { Denoiser } from './denoiser.js';
+import { ChimeraDetector } from './chimera-detector.js';
+import { OtuClusterer } from './otu-clusterer.js';
+import { TaxonomyClassifier } from './taxonomy-classifier.js';
+import { alphaDiversity, sampleCounts } from './diversity.js';
+import { BetaDiversity } from './beta-diversity.js';
+import { Rarefier } from './rarefier.js';
+import { SampleResolver } from './sample-resolver.js';
+import { SequenceExporter } from './sequence-exporter.js';
+import { Subsampler } from './subsampler.js';
+import { FastqWorkerPool } from './fastq-worker-pool.js';
+import { readId } from './sequence-utils.js';
+import { ArchiveExtractor } from './archive-extractor.js';
+
+const FEATURE_TABLE_PREFERENCE = ['rarefied', 'asv_table', 'otu_table', 'dereplicated'];
+
+// Index/barcode reads: Illumina _I1_001 files or the EMP barcodes.fastq layout
+const INDEX_PATTERN = /(?:[._]I[12](?:_\d{3})?|^barcodes?)\.(?:fastq|fq)(?:\.\w+)?$/i;
+const FASTA_FILE_PATTERN = /\.(?:fasta|fa|fna)(?:\.(?:gz|bgz|zst))?$/i;
+const SEQUENCE_FILE_PATTERN = /\.(?:fastq|fq|fasta|fa|fna)(?:\.\w+)?$/i;
 
 export class DataExtractor {
-  constructor() {
+  constructor(options = {}) {
     this.extractedDir = './extracted_data';
     this.outputDir = './processed_data';
+    this.options = options;
+    this.readPairer = new ReadPairer(options.pairing);
+    const workers = options.parallelism?.workers ?? 1;
+    this.workers = workers === 'auto' ? (os.availableParallelism?.() ?? os.cpus().length) : workers;
+    this.batchSize = options.parallelism?.batchSize ?? 1000;
+    if (!Number.isInteger(this.workers) || this.workers < 1) {
+      throw new Error(`parallelism.workers must be a positive integer or "auto", got ${workers}`);
+    }
+    const subsampler = new Subsampler(options.subsampling);
+    this.subsampler = subsampler.enabled ? subsampler : null;
+    this.demultiplexer = null;
+    this.primerTrimmer = null;
+    this.sampleResolver = null;
+    const readFilter = new ReadFilter(options.qualityControl);
+    this.readFilter = readFilter.enabled ? readFilter : null;
+    const kmerProfiler = new KmerProfiler(options.kmerProfile);
+    this.kmerProfiler = kmerProfiler.enabled ? kmerProfiler : null;
+    const complexityFilter = new ComplexityFilter(options.complexityFilter);
+    this.complexityFilter = complexityFilter.enabled ? complexityFilter : null;
+    const dereplicator = new Dereplicator(options.dereplication);
+    this.dereplicator = dereplicator.enabled ? dereplicator : null;
+    const denoiser = new Denoiser(options.denoising);
+    this.denoiser = denoiser.enabled ? denoiser : null;
+    const chimeraDetector = new ChimeraDetector(options.chimeraDetection);
+    this.chimeraDetector = chimeraDetector.enabled ? chimeraDetector : null;
+    // Per-read rows are written before any chimera is known, so they could neither be dropped nor flagged
+    if (this.chimeraDetector && this.dereplicator?.output !== 'uniques' && this.denoiser?.output !== 'asvs') {
+      throw new Error('Chimera detection needs collapsed rows: set dereplication.output to "uniques" or denoising.output to "asvs"');
+    }
+    const otuClusterer = new OtuClusterer(options.otuClustering);
+    this.otuClusterer = otuClusterer.enabled ? otuClusterer : null;
+    const taxonomyClassifier = new TaxonomyClassifier(options.taxonomy);
+    this.taxonomyClassifier = taxonomyClassifier.enabled ? taxonomyClassifier : null;
+    const rarefier = new Rarefier(options.rarefaction);
+    this.rarefier = rarefier.enabled ? rarefier : null;
+    const betaDiversity = new BetaDiversity(options.betaDiversity);
+    this.betaDiversity = betaDiversity.enabled ? betaDiversity : null;
+    const sequenceExporter = new SequenceExporter(options.sequenceExport);
+    this.sequenceExporter = sequenceExporter.enabled ? sequenceExporter : null;
+    this.mappingData = [];
+    this.mappingSamples = [];
+    this.featureTables = {};
+    this.alphaDiversity = null;
+    this.reports = {};
+  }
+
+  configureFromMapping(mappingData) {
+    const demultiplexer = new Demultiplexer(mappingData, this.options.demultiplexing);
+    this.demultiplexer = demultiplexer.enabled ? demultiplexer : null;
+
+    const primerTrimmer = new PrimerTrimmer(mappingData, this.options.primerTrimming);
+    this.primerTrimmer = primerTrimmer.active ? primerTrimmer : null;
+
+    const sampleResolver = new SampleResolver(mappingData, this.options.sampleResolution);
+    this.sampleResolver = sampleResolver.active ? sampleResolver : null;
+
+    this.mappingData = mappingData;
+    this.mappingSamples = mappingData.map(record => record.sample_name).filter(Boolean);
   }
 
   async ensureDirectories() {
@@ -18,100 +104,45 @@ export class DataExtractor {
     }
   }
 
-  async extract7zFile(filePath) {
-    console.log('Attempting to extract 7z file...');
-    
-    // Check if file exists
-    if (!fs.existsSync(filePath)) {
-      throw new Error(`7z file not found: ${filePath}`);
-    }
-
-    // Try different extraction methods
-    const extractors = [
-      { cmd: '7z', args: ['x', filePath, `-o${this.extractedDir}`, '-y'] },
-      { cmd: 'p7zip', args: ['-d', filePath] },
-      { cmd: '7za', args: ['x', filePath, `-o${this.extractedDir}`, '-y'] }
-    ];
-
-    for (const extractor of extractors) {
-      try {
-        console.log(`Trying ${extractor.cmd}...`);
-        await this.runCommand(extractor.cmd, extractor.args);
-        console.log('✅ 7z file extracted successfully');
-        return;
-      } catch (error) {
-        console.log(`❌ ${extractor.cmd} failed: ${error.message}`);
-        continue;
-      }
-    }
+  async extractArchive(filePath) {
+    const archiveExtractor = new ArchiveExtractor({
+      ...this.options.archive,
+      onProgress: (event) => this.logArchiveProgress(event)
+    });
+    const result = await archiveExtractor.extract(filePath, this.extractedDir);
+    const report = archiveExtractor.getReport(result);
+    this.reports.archive_extraction = report;
 
-    // If all extractors fail, try using node-7z as fallback
-    try {
-      console.log('Trying node-7z as fallback...');
-      await this.extractWithNode7z(filePath);
-      console.log('✅ 7z file extracted with node-7z');
-      return;
-    } catch (error) {
-      console.log(`❌ node-7z failed: ${error.message}`);
+    console.log(`✅ Extracted ${report.extracted} of ${report.entries} entries from ${path.basename(filePath)} (${(report.bytes_written / 1024 / 1024).toFixed(1)} MB, ${report.checksums_verified} checksums verified)`);
+    report.flagged.forEach(({ name, reason }) => console.log(`⚠️  Skipped ${name}: ${reason}`));
+    report.failed.forEach(({ name, error }) => console.log(`❌ ${name}: ${error}`));
+    if (report.extracted === 0 && report.failed.length > 0) {
+      throw new Error(`No entries could be extracted from ${filePath}`);
     }
-
-    throw new Error('All extraction methods failed. Please ensure 7zip is installed or extract the file manually.');
+    return report;
   }
 
-  async runCommand(command, args) {
-    return new Promise((resolve, reject) => {
-      const process = spawn(command, args, { stdio: 'pipe' });
-      
-      let stdout = '';
-      let stderr = '';
-
-      process.stdout.on('data', (data) => {
-        stdout += data.toString();
-        console.log(data.toString().trim());
-      });
-
-      process.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
-
-      process.on('close', (code) => {
-        if (code === 0) {
-          resolve(stdout);
-        } else {
-          reject(new Error(`Command failed with code ${code}: ${stderr}`));
-        }
-      });
-
-      process.on('error', (error) => {
-        reject(new Error(`Failed to start command: ${error.message}`));
-      });
-    });
+  logArchiveProgress(event) {
+    if (event.phase === 'start') {
+      console.log(`📦 Reading ${event.archive} (${event.format})...`);
+    } else if (event.phase === 'entry') {
+      const position = event.entries_total ? ` [${event.entries_done}/${event.entries_total}]` : '';
+      console.log(`   📄${position} ${event.entry} (${event.size.toLocaleString()} bytes${event.checksum_verified ? ', CRC32 ok' : ''})`);
+    } else if (event.phase === 'extract') {
+      const amount = event.percent !== undefined ? `${event.percent}%` : `${(event.bytes_written / 1024 / 1024).toFixed(0)} MB`;
+      console.log(`   ⏳ ${event.entry || event.archive}: ${amount}`);
+    }
   }
 
-  async extractWithNode7z(filePath) {
-    // Dynamic import to handle the CommonJS module
-    const { extractFull } = await import('node-7z').then(pkg => pkg.default || pkg);
-    
-    return new Promise((resolve, reject) => {
-      const stream = extractFull(filePath, this.extractedDir, {
-        $progress: true
-      });
-
-      stream.on('progress', (progress) => {
-        console.log(`Extraction progress: ${progress.percent}%`);
-      });
-
-      stream.on('end', () => {
-        resolve();
-      });
-
-      stream.on('error', (err) => {
-        reject(new Error(`node-7z extraction failed: ${err.message}`));
-      });
-    });
+  async processFastqFiles() {
+    const allSequenceData = [];
+    for await (const feature of this.streamFastqFeatures()) {
+      allSequenceData.push(feature);
+    }
+    return allSequenceData;
   }
 
-  async processFastqFiles() {
+  async *streamFastqFeatures() {
     console.log(`Scanning ${this.extractedDir} for FASTQ files...`);
     
     if (!fs.existsSync(this.extractedDir)) {
@@ -134,45 +165,611 @@ export class DataExtractor {
       } catch (error) {
         console.log('   Directory is empty or inaccessible');
       }
-      return [];
+      return;
     }
 
     console.log(`Found ${fastqFiles.length} FASTQ files:`);
     fastqFiles.forEach(file => console.log(`   📄 ${file}`));
-    
-    const allSequenceData = [];
-    const parser = new FastqParser();
 
-    for (const fastqFile of fastqFiles) {
-      console.log(`\n🧬 Processing ${path.basename(fastqFile)}...`);
-      try {
-        const fileStats = fs.statSync(fastqFile);
-        console.log(`   File size: ${(fileStats.size / 1024 / 1024).toFixed(2)} MB`);
-        
-        await parser.parseFile(fastqFile);
-        const features = parser.extractFeatures();
-        
-        console.log(`   Extracted ${features.length} sequences`);
-        
-        // Add file source information
-        features.forEach(feature => {
-          feature.source_file = path.basename(fastqFile);
-        });
-        
-        allSequenceData.push(...features);
+    const inputs = await this.groupFastqInputs(fastqFiles);
+    this.resolveSamples(inputs);
+    let totalSequences = 0;
+    const classifier = await this.prepareClassifier();
+
+    this.resetStageStats();
+    this.kmerProfiler?.sampleCounts.clear();
+    this.dereplicator?.reset();
+    this.denoiser?.reset();
+    this.otuClusterer?.reset();
+    this.featureTables = {};
+    const sampleSources = new Map();
+    // Collapsed output can only be written once every read has been counted
+    const collapseReads = this.dereplicator?.output === 'uniques' || this.denoiser?.output === 'asvs';
+    this.sequenceExporter?.open(this.outputDir);
+
+    // Workers read, trim and featurise whole inputs; everything that spans inputs stays here
+    const pool = this.workers > 1 && inputs.length > 1
+      ? new FastqWorkerPool(this, inputs, { workers: this.workers, batchSize: this.batchSize })
+      : null;
+    if (pool) console.log(`⚡ Processing ${inputs.length} inputs with ${Math.min(this.workers, inputs.length)} worker threads`);
+    const fileErrors = [];
+
+    try {
+      for (const [index, input] of inputs.entries()) {
+        console.log(`\n🧬 Processing ${input.name}...`);
+        let fileSequences = 0;
+        try {
+          const totalSize = input.files.reduce((sum, file) => sum + fs.statSync(file).size, 0);
+          console.log(`   File size: ${(totalSize / 1024 / 1024).toFixed(2)} MB`);
         
-        // Reset parser for next file
-        parser.sequences = [];
-        parser.currentEntry = {};
-        parser.lineCount = 0;
+          const items = pool ? pool.read(index) : this.inputFeatures(input);
+          for await (const { feature, record } of items) {
+            fileSequences++;
+
+            const sampleKey = record.sample_name || input.name;
+            this.subsampler?.claimSample(sampleKey, input.name);
+            if (this.sequenceExporter?.stage === 'reads') {
+              await this.sequenceExporter.writeRecord(record, sampleKey);
+            }
+            if (this.kmerProfiler?.output === 'per_sample') {
+              this.kmerProfiler.addToSample(sampleKey, record.sequence);
+            }
+            this.dereplicator?.add(record, sampleKey, feature.quality_score_avg);
+            this.denoiser?.add(record, sampleKey);
+            await this.otuClusterer?.add(record, sampleKey);
+            if ((this.dereplicator || this.denoiser) && !sampleSources.has(sampleKey)) {
+              sampleSources.set(sampleKey, { source_file: input.name, sample_name: record.sample_name });
+            }
+            if (collapseReads) continue;
+
+            if (this.kmerProfiler?.output === 'per_read') {
+              feature.kmer_profile = this.kmerProfiler.profileRead(record.sequence);
+            }
+            // The classifier caches by sequence, so repeated reads are classified once
+            if (classifier) feature.taxonomy = classifier.classify(record.sequence);
+            yield feature;
+          }
         
-      } catch (error) {
-        console.error(`❌ Error processing ${fastqFile}:`, error.message);
+          console.log(`   Extracted ${fileSequences} sequences`);
+        } catch (error) {
+          console.error(`❌ Error processing ${input.name}:`, error.message);
+          fileErrors.push({ file: input.name, error: error.message, records_before_error: fileSequences });
+        }
+        totalSequences += fileSequences;
       }
+    } finally {
+      await pool?.close();
     }
 
-    console.log(`\n✅ Total sequences processed: ${allSequenceData.length}`);
-    return allSequenceData;
+    console.log(`\n✅ Total sequences processed: ${totalSequences}`);
+    if (fileErrors.length > 0) {
+      this.reports.file_errors = fileErrors;
+      console.log(`⚠️  ${fileErrors.length}/${inputs.length} inputs failed; their errors are listed under file_errors in data_summary.json`);
+    }
+
+    // Chimeras are checked before any table is written, so every output and every later step
+    // (exports, OTUs, taxonomy, rarefaction and diversity) sees the same sequences
+    let uniques = this.dereplicator && this.dereplicator.totalReads > 0 ? this.dereplicator.uniques() : null;
+    let asvs = this.denoiser && this.denoiser.totalReads > 0 ? this.denoiser.denoise() : null;
+    let chimeras = null;
+    if (this.chimeraDetector && (asvs || uniques)) {
+      // ASVs take precedence over plain uniques when both are there
+      const checked = asvs || uniques;
+      const results = this.checkChimeras(checked);
+      chimeras = chimericSequences(checked, results);
+      const discard = this.chimeraDetector.action === 'discard';
+      const label = (sequences) => {
+        const labelled = sequences.map(sequence => ({ ...sequence, chimera: chimeras.has(sequence.sequence) }));
+        return discard ? labelled.filter(sequence => !sequence.chimera) : labelled;
+      };
+      uniques = uniques && label(uniques);
+      asvs = asvs && label(asvs);
+      if (!discard) chimeras = null;
+    }
+
+    let collapsed = [];
+    if (uniques) {
+      const { fastaFile, tableFile } = await this.dereplicator.writeOutputs(this.outputDir, uniques);
+      const report = this.dereplicator.getReport(uniques);
+      this.reports.dereplication = { ...report, output: this.dereplicator.output, fasta_file: fastaFile, table_file: tableFile };
+      console.log(`🧬 Dereplicated ${report.input_reads} reads into ${report.unique_sequences} unique sequences (${report.singletons} singletons), written to: ${fastaFile}`);
+      this.featureTables.dereplicated = uniques;
+      if (this.dereplicator.output === 'uniques') collapsed = uniques;
+    }
+
+    if (asvs) {
+      const { fastaFile, tableFile, errorModelFile } = await this.denoiser.writeOutputs(this.outputDir, this.mappingSamples, asvs);
+      const report = this.denoiser.getReport(asvs);
+      this.reports.denoising = {
+        ...report,
+        output: this.denoiser.output,
+        fasta_file: fastaFile,
+        table_file: tableFile,
+        error_model_file: errorModelFile
+      };
+      console.log(`🧬 Denoised ${report.input_reads} reads into ${report.asvs} ASVs after ${report.rounds} error-model rounds, ASV table written to: ${tableFile}`);
+      this.featureTables.asv_table = asvs;
+      if (this.denoiser.output === 'asvs') collapsed = asvs;
+    }
+
+    if (this.otuClusterer && this.otuClusterer.totalReads > 0) {
+      // Discarded chimeras are left out before clustering, so they cannot seed or join an OTU
+      const { fastaFile, tableFile, assignmentsFile, otus } = await this.otuClusterer.writeOutputs(this.outputDir, chimeras);
+      this.featureTables.otu_table = otus;
+      const report = this.otuClusterer.getReport(otus);
+      this.reports.otu_clustering = { ...report, fasta_file: fastaFile, table_file: tableFile, assignments_file: assignmentsFile };
+      console.log(`🧬 Clustered ${report.clustered_reads} reads into ${report.otus} OTUs at ${(this.otuClusterer.identity * 100).toFixed(1)}% identity, OTU table written to: ${tableFile}`);
+    }
+
+    if (this.sequenceExporter) {
+      await this.exportSequences();
+    }
+
+    if (this.rarefier) {
+      this.rarefyFeatureTable();
+    }
+    if (this.options.alphaDiversity?.enabled) {
+      this.computeAlphaDiversity();
+    }
+    if (this.betaDiversity) {
+      this.computeBetaDiversity();
+    }
+
+    // taxonomy.tsv lists unique sequences, ASVs and OTUs; per-read rows carry their own columns
+    const classified = [...(asvs || uniques || []), ...(this.featureTables.otu_table || [])];
+    if (classifier && classified.length > 0) {
+      const assignmentsFile = classifier.writeAssignments(this.outputDir, classified);
+      this.reports.taxonomy = { ...this.reports.taxonomy, assignments_file: assignmentsFile };
+      console.log(`🦠 Taxonomy for ${classified.length} sequences written to: ${assignmentsFile}`);
+    } else if (classifier) {
+      console.log('🦠 Taxonomy added to every read row; enable dereplication, denoising or otuClustering for taxonomy.tsv');
+    }
+
+    if (collapseReads) {
+      yield* this.collapsedFeatureRows(collapsed, sampleSources);
+    }
+
+    await this.collectStageReports();
+  }
+
+  async prepareClassifier() {
+    if (!this.taxonomyClassifier) return null;
+    if (this.taxonomyClassifier.trained) return this.taxonomyClassifier;
+
+    try {
+      console.log(`🦠 Training taxonomy classifier on ${this.taxonomyClassifier.referenceFasta}...`);
+      await this.taxonomyClassifier.train();
+      const report = this.taxonomyClassifier.getReport();
+      this.reports.taxonomy = report;
+      console.log(`✅ Trained on ${report.reference_sequences} reference sequences from ${report.genera} genera`);
+      return this.taxonomyClassifier;
+    } catch (error) {
+      console.log(`⚠️  Taxonomy classifier not trained, skipping classification: ${error.message}`);
+      return null;
+    }
+  }
+
+  primaryFeatureTable(preference = 'auto') {
+    // A rarefied table is depth-normalised, so it comes first; after it ASVs are the finest
+    // resolution and win over OTUs and plain uniques
+    const name = preference === 'auto'
+      ? FEATURE_TABLE_PREFERENCE.find(table => this.featureTables[table]?.length > 0)
+      : preference;
+    return name && this.featureTables[name] ? { name, features: this.featureTables[name] } : null;
+  }
+
+  rarefyFeatureTable() {
+    const table = this.primaryFeatureTable(this.rarefier.table);
+    if (!table) {
+      console.log('⚠️  Rarefaction needs a feature table; enable dereplication, denoising or OTU clustering');
+      return;
+    }
+
+    const result = this.rarefier.rarefy(table.features, sampleCounts(table.features));
+    const { curveFile, tableFile } = this.rarefier.write(this.outputDir, result);
+    this.reports.rarefaction = { ...this.rarefier.getReport(result), feature_table: table.name, curve_file: curveFile, table_file: tableFile };
+    console.log(`📉 Rarefaction curves for ${result.curves.size} samples written to: ${curveFile}`);
+
+    if (result.features) {
+      this.featureTables.rarefied = result.features;
+      console.log(`📉 Rarefied ${table.name} to ${this.rarefier.depth} reads: kept ${result.kept.length} samples, dropped ${result.dropped.length}`);
+      result.dropped.forEach(({ sample, reads }) => console.log(`   ⚠️  ${sample} dropped (${reads} reads)`));
+    }
+  }
+
+  computeAlphaDiversity() {
+    const table = this.primaryFeatureTable(this.options.alphaDiversity.table);
+    if (!table) {
+      console.log('⚠️  Alpha diversity needs a feature table; enable dereplication, denoising or OTU clustering');
+      return;
+    }
+
+    this.alphaDiversity = new Map();
+    sampleCounts(table.features).forEach((counts, sample) => {
+      this.alphaDiversity.set(sample, alphaDiversity(counts));
+    });
+    this.reports.alpha_diversity = { feature_table: table.name, samples: this.alphaDiversity.size };
+    console.log(`🌱 Alpha diversity computed for ${this.alphaDiversity.size} samples from ${table.name}`);
+  }
+
+  computeBetaDiversity() {
+    const table = this.primaryFeatureTable(this.betaDiversity.table);
+    if (!table) {
+      console.log('⚠️  Beta diversity needs a feature table; enable dereplication, denoising or OTU clustering');
+      return;
+    }
+
+    const counts = sampleCounts(table.features);
+    if (counts.size < 2) {
+      console.log('⚠️  Beta diversity needs at least two samples');
+      return;
+    }
+
+    const result = this.betaDiversity.analyze(counts, this.mappingData);
+    const jsonFile = this.betaDiversity.write(this.outputDir, result);
+    this.reports.beta_diversity = {
+      feature_table: table.name,
+      samples: result.samples.length,
+      group_column: result.group_column,
+      permanova: Object.fromEntries(Object.entries(result.metrics).map(([metric, { permanova }]) => [
+        metric,
+        permanova ? { pseudo_f: permanova.test_statistic, p_value: permanova.p_value } : null
+      ])),
+      output_file: jsonFile
+    };
+    console.log(`🌍 Beta diversity (${this.betaDiversity.metrics.join(', ')}) for ${result.samples.length} samples written to: ${jsonFile}`);
+  }
+
+  async exportSequences() {
+    const exporter = this.sequenceExporter;
+    const features = { uniques: this.featureTables.dereplicated, asvs: this.featureTables.asv_table }[exporter.stage];
+    if (exporter.stage !== 'reads') {
+      if (features) {
+        await exporter.writeFeatures(features);
+      } else {
+        console.log(`⚠️  No ${exporter.stage} to export; enable ${exporter.stage === 'uniques' ? 'dereplication' : 'denoising'}`);
+      }
+    }
+    await exporter.close();
+
+    const report = exporter.getReport();
+    this.reports.sequence_export = report;
+    console.log(`💾 Exported ${report.records_written} ${report.stage === 'reads' ? 'processed reads' : report.stage} as ${report.format.toUpperCase()} to: ${report.output_file}`);
+    if (report.skipped_without_quality > 0) {
+      console.log(`⚠️  ${report.skipped_without_quality} FASTA reads have no qualities and were left out of the FASTQ export`);
+    }
+  }
+
+  checkChimeras(sequences) {
+    const results = this.chimeraDetector.detect(sequences);
+    const chimeraFile = this.chimeraDetector.write(this.outputDir, results);
+    const report = this.chimeraDetector.getReport(results);
+    this.reports.chimera_detection = { ...report, chimera_file: chimeraFile };
+    const outcome = this.chimeraDetector.action === 'discard' ? 'left out of every table' : 'flagged';
+    console.log(`🧪 ${report.chimeras}/${report.sequences_checked} sequences are chimeric (${report.chimeric_reads} reads, ${outcome}), written to: ${chimeraFile}`);
+    return results;
+  }
+
+  *collapsedFeatureRows(sequences, sampleSources) {
+    const parser = new FastqParser();
+    let index = 0;
+
+    for (const unique of sequences) {
+      const taxonomy = this.taxonomyClassifier?.trained ? this.taxonomyClassifier.classify(unique.sequence) : null;
+      for (const [sampleKey, abundance] of unique.samples.entries()) {
+        const source = sampleSources.get(sampleKey);
+        const feature = parser.extractRecordFeatures({ header: unique.label, sequence: unique.sequence, quality: '' }, index++);
+        feature.sequence_id = unique.id;
+        feature.quality_score_avg = unique.quality_score_avg.toFixed(2);
+        feature.abundance = abundance;
+        feature.source_file = source.source_file;
+        if (source.sample_name !== undefined) feature.sample_name = source.sample_name;
+        if (unique.chimera !== undefined) feature.is_chimera = unique.chimera ? 1 : 0;
+        if (this.alphaDiversity?.has(sampleKey)) feature.alpha_diversity = this.alphaDiversity.get(sampleKey);
+        if (taxonomy) feature.taxonomy = taxonomy;
+        if (this.kmerProfiler?.output === 'per_read') {
+          feature.kmer_profile = this.kmerProfiler.profileRead(unique.sequence);
+        }
+        yield feature;
+      }
+    }
+  }
+
+  async collectStageReports() {
+    if (this.subsampler && Object.keys(this.subsampler.stats).length > 0) {
+      const report = this.subsampler.getReport();
+      this.reports.subsampling = report;
+      const target = report.count !== null ? `${report.count} reads per ${report.per}` : `a fraction of ${report.fraction}`;
+      console.log(`🎲 Subsampled ${report.reads_kept}/${report.reads_seen} reads to ${target} (seed ${report.seed})`);
+    }
+
+    if (this.demultiplexer && this.demultiplexer.stats.total_reads > 0) {
+      const report = this.demultiplexer.getReport();
+      this.reports.demultiplexing = report;
+      console.log(`🏷️  Assigned ${report.assigned}/${report.total_reads} reads to samples (${report.corrected} barcode-corrected, ${report.unassigned} unassigned)`);
+      this.demultiplexer.writeCounts(this.outputDir);
+    }
+
+    if (this.primerTrimmer && Object.keys(this.primerTrimmer.stats).length > 0) {
+      const report = this.primerTrimmer.getReport();
+      this.reports.primer_trimming = report;
+      console.log(`✂️  Forward primer found in ${report.totals.forward_trimmed}/${report.totals.reads} reads, reverse in ${report.totals.reverse_trimmed} (${report.totals.discarded} discarded)`);
+      if (report.totals.reads > 0 && report.totals.forward_trimmed < report.totals.reads / 2) {
+        console.log('⚠️  Most reads had no forward primer; they may already be primer-free (set primerTrimming.enabled to false)');
+      }
+    }
+
+    if (this.kmerProfiler?.output === 'per_sample' && this.kmerProfiler.sampleCounts.size > 0) {
+      const outputFile = path.join(this.outputDir, 'kmer_profiles_per_sample.tsv');
+      await this.kmerProfiler.writeSparse(outputFile, this.kmerProfiler.sampleProfiles());
+      this.reports.kmer_profile = {
+        k: this.kmerProfiler.k,
+        canonical: this.kmerProfiler.canonical,
+        normalization: this.kmerProfiler.normalization,
+        samples: this.kmerProfiler.sampleCounts.size,
+        sparse_file: outputFile
+      };
+      console.log(`🧮 ${this.kmerProfiler.k}-mer profiles for ${this.kmerProfiler.sampleCounts.size} samples written to: ${outputFile}`);
+    }
+
+    if (this.complexityFilter && this.complexityFilter.stats.checked > 0) {
+      const report = this.complexityFilter.getReport();
+      this.reports.complexity_filter = report;
+      const removed = Object.values(report.removed).reduce((sum, count) => sum + count, 0);
+      console.log(`🧹 Dropped ${removed}/${report.checked} low-complexity reads`);
+    }
+
+    if (this.readFilter && this.readFilter.stats.input_reads > 0) {
+      const report = this.readFilter.getReport();
+      this.reports.quality_control = report;
+      const removed = Object.entries(report.reads_removed).map(([rule, count]) => `${rule}: ${count}`).join(', ');
+      console.log(`🔬 ${report.passed}/${report.input_reads} reads passed quality control (removed ${removed})`);
+    }
+  }
+
+  async *inputFeatures(input) {
+    const parser = new FastqParser();
+    let index = 0;
+    for await (const record of this.processInputRecords(input)) {
+      const feature = parser.extractRecordFeatures(record, index);
+      if (this.complexityFilter && !this.complexityFilter.passes(feature)) continue;
+      // Add file source information
+      feature.source_file = input.name;
+      if (record.sample_name !== undefined) feature.sample_name = record.sample_name;
+      if (record.primer_found !== undefined) feature.primer_found = record.primer_found;
+      index++;
+      yield { feature, record };
+    }
+  }
+
+  resetStageStats() {
+    [this.demultiplexer, this.primerTrimmer, this.readFilter, this.complexityFilter, this.subsampler].forEach(stage => stage?.resetStats());
+  }
+
+  stageStats() {
+    const { qc_reports, validation, pairing } = this.reports;
+    return {
+      demultiplexing: this.demultiplexer?.stats,
+      primer_trimming: this.primerTrimmer?.stats,
+      quality_control: this.readFilter?.stats,
+      complexity_filter: this.complexityFilter?.stats,
+      subsampling: this.subsampler?.stats,
+      reports: { qc_reports, validation, pairing }
+    };
+  }
+
+  mergeStageStats(stats) {
+    // Counters from a worker add up with these; per-file reports are keyed by file name
+    addCounts(this.demultiplexer?.stats, stats.demultiplexing);
+    addCounts(this.primerTrimmer?.stats, stats.primer_trimming);
+    addCounts(this.readFilter?.stats, stats.quality_control);
+    addCounts(this.complexityFilter?.stats, stats.complexity_filter);
+    addCounts(this.subsampler?.stats, stats.subsampling);
+    Object.entries(stats.reports).forEach(([key, report]) => {
+      if (report) this.reports[key] = { ...this.reports[key], ...report };
+    });
+  }
+
+  async groupFastqInputs(fastqFiles) {
+    const indexFiles = fastqFiles.filter(file => INDEX_PATTERN.test(path.basename(file)));
+    const readFiles = fastqFiles.filter(file => !indexFiles.includes(file));
+    const { pairs: candidates, singles } = this.readPairer.pairFiles(readFiles);
+
+    // sample_1/sample_2 can just as well be two samples, so mates must start with the same read
+    const pairs = [];
+    for (const pair of candidates) {
+      const [r1Id, r2Id] = await Promise.all([this.firstReadId(pair.r1), this.firstReadId(pair.r2)]);
+      if (r1Id !== null && r1Id === r2Id) {
+        pairs.push(pair);
+      } else {
+        console.log(`⚠️  ${path.basename(pair.r1)} and ${path.basename(pair.r2)} start with different reads (${r1Id} vs ${r2Id}); processing them as single-end files`);
+        singles.push(pair.r1, pair.r2);
+      }
+    }
+
+    if (pairs.length > 0) {
+      console.log(`🔗 Paired ${pairs.length} R1/R2 file sets`);
+    }
+
+    const inputs = [
+      ...pairs.map(pair => ({ name: path.basename(pair.r1), files: [pair.r1, pair.r2], paired: true })),
+      ...singles.map(file => ({ name: path.basename(file), files: [file], paired: false }))
+    ];
+
+    inputs.forEach(input => {
+      input.indexFile = this.findIndexFile(input.files[0], indexFiles);
+    });
+
+    return inputs.sort((a, b) => a.files[0].localeCompare(b.files[0]));
+  }
+
+  async firstReadId(filePath) {
+    // Only the header is needed, so no reads are held back to detect the encoding
+    const records = new FastqParser({ ...this.options.parsing, phredEncoding: 'phred33' }).records(filePath);
+    try {
+      const first = await records.next();
+      return first.done ? null : readId(first.value.header);
+    } catch {
+      // An unreadable file is reported when it is processed on its own
+      return null;
+    } finally {
+      await records.return?.();
+    }
+  }
+
+  resolveSamples(inputs) {
+    if (!this.sampleResolver) return;
+
+    const resolutions = inputs.map(input => {
+      const resolution = this.sampleResolver.resolve(input.files[0]);
+      if (resolution.status === 'sample') input.sampleName = resolution.sample_name;
+      return resolution;
+    });
+    const report = this.sampleResolver.getReport(resolutions);
+    const reportFile = this.sampleResolver.write(this.outputDir, resolutions);
+    this.reports.sample_resolution = { ...report, report_file: reportFile };
+
+    console.log(`🗂️  Resolved ${report.sample}/${report.files} inputs to a sample, ${report.run} to a multiplexed run (${report.ambiguous} ambiguous, ${report.unmatched} unmatched)`);
+    report.ambiguous_files.forEach(({ file, candidates }) => {
+      console.log(`   ⚠️  ${file} matches ${candidates.length} samples (${candidates.join(', ')}); ${this.demultiplexer ? 'demultiplexing it by barcode instead' : 'its reads are left unassigned'}`);
+    });
+    if (report.unmatched > 0) {
+      console.log(`   ⚠️  No sample_name or run_prefix for ${report.unmatched_files.join(', ')}${this.demultiplexer ? '; their reads are left to barcode demultiplexing' : ''}`);
+    }
+    if (report.run > 0 && !this.demultiplexer) {
+      console.log('   ⚠️  Multiplexed runs need barcodes in the mapping file to assign their reads to samples');
+    }
+    console.log(`   Resolution report written to: ${reportFile}`);
+  }
+
+  findIndexFile(readFile, indexFiles) {
+    const directory = path.dirname(readFile);
+    const siblings = indexFiles.filter(file => path.dirname(file) === directory);
+    const expectedName = path.basename(readFile).replace(/([._])R?1((?:_\d{3})?\.)/, '$1I1$2');
+    
+    // EMP deliveries ship a single barcodes.fastq for every read file in the directory
+    return siblings.find(file => path.basename(file) === expectedName) ||
+      siblings.find(file => /^barcodes?\./i.test(path.basename(file))) ||
+      null;
+  }
+
+  demultiplexRecords(input, items) {
+    // Per-sample files already name their sample; only multiplexed runs need barcodes
+    if (input.sampleName) return this.assignSample(items, input.sampleName);
+    if (!this.demultiplexer) return items;
+
+    if (this.demultiplexer.mode === 'inline') {
+      return this.demultiplexer.demultiplex(items);
+    }
+    if (input.indexFile) {
+      console.log(`   Demultiplexing with ${path.basename(input.indexFile)}`);
+      return this.demultiplexer.demultiplex(items, new FastqParser(this.options.parsing).records(input.indexFile));
+    }
+    return items;
+  }
+
+  async *assignSample(items, sampleName) {
+    for await (const item of items) {
+      yield Array.isArray(item)
+        ? item.map(record => ({ ...record, sample_name: sampleName }))
+        : { ...item, sample_name: sampleName };
+    }
+  }
+
+  processInputRecords(input) {
+    let records = this.readInputRecords(input);
+    if (this.primerTrimmer) {
+      records = this.primerTrimmer.trimRecords(records);
+    }
+    if (this.readFilter) {
+      records = this.readFilter.filterRecords(records);
+    }
+    return records;
+  }
+
+  async *readFastqFile(filePath) {
+    const parser = new FastqParser(this.options.parsing);
+    const fileName = path.basename(filePath);
+    // The QC report describes the raw reads, before any trimming or filtering. The parser
+    // tells FASTA from FASTQ on the first line, so FASTA reads are simply not added.
+    const report = this.options.qcReport?.enabled !== false ? new QcReport(fileName, this.options.qcReport) : null;
+
+    for await (const record of parser.records(filePath)) {
+      if (report && parser.format === 'fastq') report.add(record);
+      yield record;
+    }
+
+    this.writeValidationReport(parser);
+    if (parser.format === 'fastq' && (parser.encoding.key !== 'phred33' || parser.encoding.ambiguous)) {
+      console.log(`   ⚠️  ${fileName}: ${parser.encoding.name}${parser.encoding.ambiguous ? ' assumed, quality range is ambiguous' : ' detected, converted to Phred+33'}`);
+    }
+    if (!report || parser.format !== 'fastq') return;
+
+    report.encoding = parser.encoding;
+    const reportFile = report.write(this.outputDir);
+    this.reports.qc_reports = {
+      ...this.reports.qc_reports,
+      [fileName]: { encoding: parser.encoding.key, reads: report.totalReads, report_file: reportFile }
+    };
+  }
+
+  writeValidationReport(parser) {
+    const validation = parser.getValidationReport();
+    const issueCount = Object.values(validation.issue_counts).reduce((sum, count) => sum + count, 0);
+    if (issueCount === 0) return;
+
+    const fileName = path.basename(validation.file);
+    const reportDir = path.join(this.outputDir, 'validation_reports');
+    if (!fs.existsSync(reportDir)) {
+      fs.mkdirSync(reportDir, { recursive: true });
+    }
+    const reportFile = path.join(reportDir, `${fileName.replace(SEQUENCE_FILE_PATTERN, '')}.validation.json`);
+    fs.writeFileSync(reportFile, JSON.stringify(validation, null, 2));
+
+    this.reports.validation = {
+      ...this.reports.validation,
+      [fileName]: {
+        policy: validation.policy,
+        records: validation.records,
+        dropped: validation.dropped,
+        repaired: validation.repaired,
+        issue_counts: validation.issue_counts,
+        report_file: reportFile
+      }
+    };
+    console.log(`   ⚠️  ${issueCount} FASTQ format issues in ${fileName} (${validation.dropped} records dropped, ${validation.repaired} repaired), see ${reportFile}`);
+  }
+
+  async *readInputRecords(input) {
+    const forwardRecords = this.readFastqFile(input.files[0]);
+
+    if (!input.paired) {
+      yield* this.subsampleRecords(input, this.demultiplexRecords(input, forwardRecords));
+      return;
+    }
+
+    const [r1File, r2File] = input.files;
+    const stats = this.readPairer.createStats();
+    try {
+      // Pairs are demultiplexed and subsampled before merging, so both mates share one fate
+      const pairs = this.demultiplexRecords(input, this.readPairer.pairRecords(forwardRecords, this.readFastqFile(r2File)));
+      yield* this.readPairer.mergePairs(this.subsampleRecords(input, pairs, ([r1]) => r1.sample_name), stats);
+    } finally {
+      const report = this.readPairer.summarizeStats(stats);
+      this.reports.pairing = { ...this.reports.pairing, [input.name]: { r2_file: path.basename(r2File), ...report } };
+      console.log(`   Merged ${report.merged}/${report.pairs} pairs (${(report.merge_rate * 100).toFixed(1)}%), mean overlap ${report.avg_overlap_length} bp, ${report.total_mismatches} mismatches`);
+    }
+  }
+
+  async *subsampleRecords(input, items, sampleOf) {
+    if (!this.subsampler) {
+      yield* items;
+      return;
+    }
+
+    yield* this.subsampler.sample(items, input.name, sampleOf);
+    const { reads_seen, reads_kept } = this.subsampler.stats[input.name];
+    console.log(`   Subsampled ${reads_kept}/${reads_seen} ${input.paired ? 'read pairs' : 'reads'}`);
   }
 
   findFastqFiles(directory) {
@@ -189,14 +786,17 @@ export class DataExtractor {
           // Recursively scan subdirectories
           scanDirectory(fullPath);
         } else if (stats.isFile()) {
-          // Check if it's a FASTQ file
+          // Check if it's a FASTQ or FASTA file
           const ext = path.extname(item).toLowerCase();
           const basename = path.basename(item).toLowerCase();
           
           if (ext === '.fastq' || ext === '.fq' || 
               basename.endsWith('.fastq.gz') || 
               basename.endsWith('.fq.gz') ||
-              basename.includes('fastq')) {
+              basename.endsWith('.fq.bgz') ||
+              basename.endsWith('.fq.zst') ||
+              basename.includes('fastq') ||
+              FASTA_FILE_PATTERN.test(basename)) {
             fastqFiles.push(fullPath);
           }
         }
@@ -293,4 +893,29 @@ export class DataExtractor {
     values.push(current.trim());
     return values;
   }
-}
\ No newline at end of file
+}
+
+function addCounts(target, source) {
+  if (!target || !source) return;
+  Object.entries(source).forEach(([key, value]) => {
+    if (typeof value === 'number') {
+      target[key] = (target[key] || 0) + value;
+    } else if (value && typeof value === 'object') {
+      target[key] = target[key] || {};
+      addCounts(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+}
+
+// Sequences of the chimeras and, for ASVs, of every unique sequence denoised into one
+function chimericSequences(checked, results) {
+  const chimeric = new Set();
+  checked.forEach(sequence => {
+    if (!results.get(sequence.id).chimera) return;
+    chimeric.add(sequence.sequence);
+    sequence.members?.forEach(member => chimeric.add(member));
+  });
+  return chimeric;
+}
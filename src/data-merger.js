@@ -1,112 +1,263 @@
 import fs from 'fs';
 import { createWriteStream } from 'fs';
+import path from 'path';
+import { KmerProfiler } from './kmer-profiler.js';
+import { TaxonomyClassifier } from './taxonomy-classifier.js';
+import { BiomTable } from './biom-table.js';
+import { ALPHA_METRICS } from './diversity.js';
+import { SampleResolver } from './sample-resolver.js';
+import { writeChunk } from './sequence-utils.js';
 
 export class DataMerger {
-  constructor() {
+  constructor(options = {}) {
     this.outputFile = './MODEL_TRAINING_DATA.csv';
+    this.outputDir = './processed_data';
+    const kmerProfiler = new KmerProfiler(options.kmerProfile);
+    this.kmerProfiler = kmerProfiler.enabled ? kmerProfiler : null;
+    const taxonomyClassifier = new TaxonomyClassifier(options.taxonomy);
+    this.taxonomyClassifier = taxonomyClassifier.enabled ? taxonomyClassifier : null;
+    this.biom = options.biom?.enabled ? { format: options.biom.format || 'json' } : null;
+    this.alphaDiversity = options.alphaDiversity?.enabled ?? false;
+    this.output = options.merging?.output || 'per_read';
+    this.sampleResolution = options.sampleResolution;
+    this.sampleResolver = null;
+
+    if (!['per_read', 'per_sample'].includes(this.output)) {
+      throw new Error(`Unknown merging output "${this.output}" (expected per_read, per_sample)`);
+    }
   }
 
-  async mergeData(sequenceData, faostatData, mappingData) {
+  async mergeData(sequenceSource, faostatData, mappingData) {
+    const sampleResolver = new SampleResolver(mappingData, this.sampleResolution);
+    this.sampleResolver = sampleResolver.active ? sampleResolver : null;
+
+    if (this.output === 'per_sample') {
+      return this.mergeSampleData(sequenceSource, faostatData, mappingData);
+    }
+
     console.log('Merging datasets...');
     
-    // Create a comprehensive dataset for model training
-    const mergedData = [];
+    // Rows are written as they arrive so a full sequencing run never has to fit in memory
+    const writer = this.createCSVWriter(this.outputFile);
+    const summary = this.createSummaryAccumulator();
     
     // Process sequence data with mapping information
     const mappingMap = this.createMappingMap(mappingData);
+    let index = 0;
     
-    sequenceData.forEach((seqRecord, index) => {
-      const baseRecord = {
-        // Sequence identifiers
-        record_id: `record_${index + 1}`,
-        data_type: 'genomic_sequence',
-        sequence_id: seqRecord.sequence_id,
-        source_file: seqRecord.source_file,
-        
-        // Sequence features
-        sequence_length: seqRecord.sequence_length,
-        gc_content: parseFloat(seqRecord.gc_content),
-        a_count: seqRecord.a_count,
-        t_count: seqRecord.t_count,
-        g_count: seqRecord.g_count,
-        c_count: seqRecord.c_count,
-        n_count: seqRecord.n_count,
-        quality_score_avg: parseFloat(seqRecord.quality_score_avg),
-        sequence_complexity: seqRecord.sequence_complexity,
-        has_ambiguous_bases: seqRecord.has_ambiguous_bases,
-        
-        // Mapping data (if available)
-        sample_name: '',
-        barcode: '',
-        experiment_design: '',
-        target_gene: '',
-        platform: '',
-        
-        // FAOSTAT data placeholders
-        area: '',
-        item: '',
-        element: '',
-        year: '',
-        value: '',
-        unit: ''
-      };
-
-      // Try to match with mapping data
-      const mappingMatch = this.findMappingMatch(seqRecord, mappingMap);
-      if (mappingMatch) {
-        baseRecord.sample_name = mappingMatch.sample_name || '';
-        baseRecord.barcode = mappingMatch.barcode || '';
-        baseRecord.experiment_design = mappingMatch.experiment_design_description || '';
-        baseRecord.target_gene = mappingMatch.target_gene || '';
-        baseRecord.platform = mappingMatch.platform || '';
-      }
-
-      mergedData.push(baseRecord);
-    });
+    for await (const seqRecord of sequenceSource) {
+      const record = this.buildSequenceRecord(seqRecord, index++, mappingMap);
+      summary.add(record);
+      await writer.write(record);
+    }
 
     // Add FAOSTAT data as separate records
-    faostatData.forEach((faoRecord, index) => {
-      const faoMergedRecord = {
-        record_id: `fao_${index + 1}`,
-        data_type: 'agricultural_statistics',
-        sequence_id: '',
-        source_file: 'FAOSTAT_data_en_6-23-2025.csv',
-        
-        // Sequence features (empty for FAOSTAT data)
-        sequence_length: 0,
-        gc_content: 0,
-        a_count: 0,
-        t_count: 0,
-        g_count: 0,
-        c_count: 0,
-        n_count: 0,
-        quality_score_avg: 0,
-        sequence_complexity: 0,
-        has_ambiguous_bases: 0,
-        
-        // Mapping data (empty for FAOSTAT)
-        sample_name: '',
-        barcode: '',
-        experiment_design: '',
-        target_gene: '',
-        platform: '',
-        
-        // FAOSTAT data
-        area: faoRecord.Area || '',
-        item: faoRecord.Item || '',
-        element: faoRecord.Element || '',
-        year: faoRecord.Year || '',
-        value: faoRecord.Value || '',
-        unit: faoRecord.Unit || ''
-      };
-
-      mergedData.push(faoMergedRecord);
-    });
+    for (const [faoIndex, faoRecord] of faostatData.entries()) {
+      const record = this.buildFaostatRecord(faoRecord, faoIndex);
+      summary.add(record);
+      await writer.write(record);
+    }
 
-    // Write merged data to CSV
-    await this.writeCSV(mergedData);
+    await writer.end();
+    summary.setBytesWritten(writer.bytesWritten);
     
-    return mergedData;
+    return summary.finish();
+  }
+
+  async mergeSampleData(sequenceSource, faostatData, mappingData) {
+    console.log('Aggregating reads per sample...');
+
+    const summary = this.createSummaryAccumulator();
+    const aggregator = this.createSampleAggregator();
+    const mappingMap = this.createMappingMap(mappingData);
+    let index = 0;
+
+    for await (const seqRecord of sequenceSource) {
+      const record = this.buildSequenceRecord(seqRecord, index++, mappingMap);
+      summary.add(record);
+      aggregator.add(record);
+    }
+
+    const rows = aggregator.finish();
+    await this.writeSampleTable(this.outputFile, rows, mappingData);
+    summary.setBytesWritten(fs.statSync(this.outputFile).size);
+    console.log(`📊 ${rows.length} sample rows from ${index} sequence records`);
+    if (aggregator.unassignedReads > 0) {
+      console.log(`⚠️  ${aggregator.unassignedReads} reads without a sample_name left out of the sample rows`);
+    }
+    if (faostatData.length > 0) {
+      console.log(`⚠️  ${faostatData.length} FAOSTAT records left out: they are not tied to a sample`);
+    }
+
+    return { ...summary.finish(), sample_records: rows.length, unassigned_reads: aggregator.unassignedReads };
+  }
+
+  buildSequenceRecord(seqRecord, index, mappingMap) {
+    const baseRecord = {
+      // Sequence identifiers
+      record_id: `record_${index + 1}`,
+      data_type: 'genomic_sequence',
+      sequence_id: seqRecord.sequence_id,
+      source_file: seqRecord.source_file,
+      abundance: seqRecord.abundance ?? 1,
+      
+      // Sequence features
+      sequence_length: seqRecord.sequence_length,
+      gc_content: parseFloat(seqRecord.gc_content),
+      a_count: seqRecord.a_count,
+      t_count: seqRecord.t_count,
+      g_count: seqRecord.g_count,
+      c_count: seqRecord.c_count,
+      n_count: seqRecord.n_count,
+      quality_score_avg: parseFloat(seqRecord.quality_score_avg),
+      sequence_complexity: seqRecord.sequence_complexity,
+      has_ambiguous_bases: seqRecord.has_ambiguous_bases,
+      base_entropy: seqRecord.base_entropy,
+      kmer_entropy: seqRecord.kmer_entropy,
+      dust_score: seqRecord.dust_score,
+      max_homopolymer: seqRecord.max_homopolymer,
+      max_dinucleotide_repeat: seqRecord.max_dinucleotide_repeat,
+      has_dinucleotide_repeat: seqRecord.has_dinucleotide_repeat,
+      primer_found: seqRecord.primer_found ?? '',
+      is_chimera: seqRecord.is_chimera ?? '',
+      
+      // Mapping data (if available)
+      sample_name: '',
+      barcode: '',
+      experiment_design: '',
+      target_gene: '',
+      platform: '',
+      
+      // FAOSTAT data placeholders
+      area: '',
+      item: '',
+      element: '',
+      year: '',
+      value: '',
+      unit: ''
+    };
+
+    // Try to match with mapping data
+    const mappingMatch = this.findMappingMatch(seqRecord, mappingMap);
+    if (mappingMatch) {
+      baseRecord.sample_name = mappingMatch.sample_name || '';
+      baseRecord.barcode = mappingMatch.barcode || '';
+      baseRecord.experiment_design = mappingMatch.experiment_design_description || '';
+      baseRecord.target_gene = mappingMatch.target_gene || '';
+      baseRecord.platform = mappingMatch.platform || '';
+    }
+
+    return {
+      ...baseRecord,
+      ...this.alphaColumns(seqRecord.alpha_diversity),
+      ...this.taxonomyColumns(seqRecord.taxonomy),
+      ...this.kmerColumns(seqRecord.kmer_profile)
+    };
+  }
+
+  alphaColumns(metrics = {}) {
+    // Sample-level values; per-read rows are written before the sample totals are known
+    if (!this.alphaDiversity) return {};
+    return Object.fromEntries(ALPHA_METRICS.map(metric => [metric, metrics[metric] ?? '']));
+  }
+
+  taxonomyColumns(result) {
+    if (!this.taxonomyClassifier) return {};
+    return this.taxonomyClassifier.toColumns(result);
+  }
+
+  kmerColumns(profile) {
+    // Per-sample profiles go to their own table, so only per-read ones widen the CSV
+    if (!this.kmerProfiler || this.kmerProfiler.output !== 'per_read') return {};
+    return this.kmerProfiler.toColumns(profile);
+  }
+
+  async writeSampleKmerFeatures(kmerProfiler) {
+    const outputFile = path.join(this.outputDir, 'kmer_sample_features.csv');
+    const writer = this.createCSVWriter(outputFile);
+    for (const { sample, profile } of kmerProfiler.sampleProfiles()) {
+      await writer.write({ sample_name: sample, ...kmerProfiler.toColumns(profile) });
+    }
+    await writer.end();
+    return outputFile;
+  }
+
+  async writeSampleOtuTable(otuClusterer, mappingData) {
+    const rows = otuClusterer.sampleTable().map(({ sample, counts }) => ({ sample, values: counts }));
+    return this.writeSampleTable(path.join(this.outputDir, 'otu_sample_features.csv'), rows, mappingData);
+  }
+
+  async writeSampleAlphaDiversity(alphaDiversity, mappingData) {
+    const rows = [...alphaDiversity.entries()].map(([sample, metrics]) => ({ sample, values: metrics }));
+    return this.writeSampleTable(path.join(this.outputDir, 'alpha_diversity.csv'), rows, mappingData);
+  }
+
+  async writeSampleTable(outputFile, rows, mappingData) {
+    // One row per sample: every mapping column followed by the sample's own values
+    const mappingMap = this.createMappingMap(mappingData);
+    const mappingColumns = [...new Set(mappingData.flatMap(record => Object.keys(record)))];
+    // Optional values (alpha diversity, complexity means) may only exist for some samples
+    const valueColumns = [...new Set(rows.flatMap(({ values }) => Object.keys(values)))];
+    const columns = [...new Set(['sample_name', ...mappingColumns, ...valueColumns])];
+    const writer = this.createCSVWriter(outputFile, columns);
+
+    for (const { sample, values } of rows) {
+      const mapping = mappingMap.get(sample) || {};
+      const row = { sample_name: sample };
+      mappingColumns.filter(column => column !== 'sample_name').forEach(column => {
+        row[column] = mapping[column] ?? '';
+      });
+      await writer.write({ ...row, ...values });
+    }
+    await writer.end();
+    return outputFile;
+  }
+
+  buildFaostatRecord(faoRecord, index) {
+    const record = {
+      record_id: `fao_${index + 1}`,
+      data_type: 'agricultural_statistics',
+      sequence_id: '',
+      source_file: 'FAOSTAT_data_en_6-23-2025.csv',
+      abundance: 0,
+      
+      // Sequence features (empty for FAOSTAT data)
+      sequence_length: 0,
+      gc_content: 0,
+      a_count: 0,
+      t_count: 0,
+      g_count: 0,
+      c_count: 0,
+      n_count: 0,
+      quality_score_avg: 0,
+      sequence_complexity: 0,
+      has_ambiguous_bases: 0,
+      base_entropy: 0,
+      kmer_entropy: 0,
+      dust_score: 0,
+      max_homopolymer: 0,
+      max_dinucleotide_repeat: 0,
+      has_dinucleotide_repeat: 0,
+      primer_found: '',
+      is_chimera: '',
+      
+      // Mapping data (empty for FAOSTAT)
+      sample_name: '',
+      barcode: '',
+      experiment_design: '',
+      target_gene: '',
+      platform: '',
+      
+      // FAOSTAT data
+      area: faoRecord.Area || '',
+      item: faoRecord.Item || '',
+      element: faoRecord.Element || '',
+      year: faoRecord.Year || '',
+      value: faoRecord.Value || '',
+      unit: faoRecord.Unit || ''
+    };
+
+    return { ...record, ...this.alphaColumns(), ...this.taxonomyColumns(), ...this.kmerColumns() };
   }
 
   createMappingMap(mappingData) {
@@ -123,6 +274,11 @@ export class DataMerger {
   }
 
   findMappingMatch(seqRecord, mappingMap) {
+    // Demultiplexed reads already carry their sample, unassigned ones stay unmatched
+    if (seqRecord.sample_name !== undefined) {
+      return mappingMap.get(seqRecord.sample_name) || null;
+    }
+
     // Try to match by various identifiers
     const identifiers = [
       seqRecord.sequence_id,
@@ -134,73 +290,260 @@ export class DataMerger {
       if (id && mappingMap.has(id)) {
         return mappingMap.get(id);
       }
-      
-      // Try partial matches
-      for (const [key, value] of mappingMap.entries()) {
-        if (id && id.includes(key) || key.includes(id)) {
-          return value;
-        }
-      }
     }
-    
+
+    // Otherwise only a file that resolves to exactly one sample is matched
+    if (this.sampleResolver && seqRecord.source_file) {
+      const resolution = this.sampleResolver.resolve(seqRecord.source_file);
+      if (resolution.status === 'sample') return mappingMap.get(resolution.sample_name) || null;
+    }
+
     return null;
   }
 
   async writeCSV(data) {
-    return new Promise((resolve, reject) => {
-      const writeStream = createWriteStream(this.outputFile);
-      
-      if (data.length === 0) {
-        writeStream.end();
-        resolve();
-        return;
+    const writer = this.createCSVWriter(this.outputFile, [...new Set(data.flatMap(row => Object.keys(row)))]);
+    for (const row of data) {
+      await writer.write(row);
+    }
+    await writer.end();
+    console.log(`📊 Total records: ${data.length}`);
+  }
+
+  async writeBIOM(featureTables, mappingData, classifier = null) {
+    const sampleMetadata = new Map();
+    mappingData.forEach(({ sample_name: sampleName, ...metadata }) => {
+      if (sampleName) sampleMetadata.set(sampleName, metadata);
+    });
+    const observationMetadata = (feature) => {
+      if (!classifier?.trained) return null;
+      const result = classifier.classify(feature.sequence);
+      return BiomTable.taxonomyMetadata(result, classifier.assignedRanks(result));
+    };
+
+    const outputFiles = [];
+    for (const [name, features] of Object.entries(featureTables)) {
+      if (!features || features.length === 0) continue;
+      const table = BiomTable.fromFeatureTable(features, sampleMetadata, observationMetadata, name);
+      const outputFile = path.join(this.outputDir, `${name}.biom`);
+      await table.write(outputFile, this.biom.format);
+      console.log(`🧫 BIOM ${this.biom.format === 'hdf5' ? '2.1' : '1.0'} table (${table.shape.join(' × ')}) written to: ${outputFile}`);
+      outputFiles.push(outputFile);
+    }
+    return outputFiles;
+  }
+
+  createCSVWriter(outputFile, columns = null) {
+    const writeStream = createWriteStream(outputFile);
+    let headers = columns;
+    let headerWritten = false;
+    let streamError = null;
+    writeStream.on('error', (error) => { streamError = error; });
+
+    const formatValue = (value) => {
+      // Escape commas and quotes in CSV
+      if (typeof value === 'string' && (value.includes(',') || value.includes('"'))) {
+        return `"${value.replace(/"/g, '""')}"`;
       }
+      return value ?? '';
+    };
 
-      // Write headers
-      const headers = Object.keys(data[0]);
-      writeStream.write(headers.join(',') + '\n');
-
-      // Write data rows
-      data.forEach(row => {
-        const values = headers.map(header => {
-          const value = row[header];
-          // Escape commas and quotes in CSV
-          if (typeof value === 'string' && (value.includes(',') || value.includes('"'))) {
-            return `"${value.replace(/"/g, '""')}"`;
+    const writeLine = (line) => {
+      if (streamError) return Promise.reject(streamError);
+      writer.bytesWritten += Buffer.byteLength(line);
+      return writeChunk(writeStream, line);
+    };
+
+    const writer = {
+      bytesWritten: 0,
+
+      async write(row) {
+        // Without explicit columns the first row fixes them for the whole file
+        if (!headers) headers = Object.keys(row);
+        if (!headerWritten) {
+          headerWritten = true;
+          await writeLine(headers.join(',') + '\n');
+        }
+        await writeLine(headers.map(header => formatValue(row[header])).join(',') + '\n');
+      },
+
+      end() {
+        return new Promise((resolve, reject) => {
+          if (streamError) {
+            reject(streamError);
+            return;
           }
-          return value;
+          writeStream.once('error', reject);
+          writeStream.end(() => {
+            console.log(`\n✅ Merged data written to: ${outputFile}`);
+            resolve();
+          });
         });
-        writeStream.write(values.join(',') + '\n');
-      });
+      }
+    };
 
-      writeStream.end();
-      
-      writeStream.on('finish', () => {
-        console.log(`\n✅ Merged data written to: ${this.outputFile}`);
-        console.log(`📊 Total records: ${data.length}`);
-        resolve();
-      });
+    return writer;
+  }
 
-      writeStream.on('error', reject);
-    });
+  createSummaryAccumulator() {
+    const totals = {
+      total_records: 0,
+      sequence_records: 0,
+      faostat_records: 0,
+      length_sum: 0,
+      gc_sum: 0,
+      quality_sum: 0,
+      quality_records: 0,
+      min_length: null,
+      max_length: null,
+      bytes_written: 0
+    };
+    const sources = new Set();
+    let columns = [];
+
+    return {
+      add(record) {
+        if (totals.total_records === 0) columns = Object.keys(record);
+        totals.total_records++;
+        sources.add(record.source_file);
+
+        if (record.data_type === 'agricultural_statistics') {
+          totals.faostat_records++;
+        } else if (record.data_type === 'genomic_sequence') {
+          totals.sequence_records++;
+          totals.length_sum += record.sequence_length;
+          totals.gc_sum += record.gc_content;
+        }
+
+        if (record.sequence_length > 0) {
+          totals.min_length = totals.min_length === null ? record.sequence_length : Math.min(totals.min_length, record.sequence_length);
+          totals.max_length = totals.max_length === null ? record.sequence_length : Math.max(totals.max_length, record.sequence_length);
+        }
+        if (record.quality_score_avg > 0) {
+          totals.quality_sum += record.quality_score_avg;
+          totals.quality_records++;
+        }
+      },
+
+      setBytesWritten(bytes) {
+        totals.bytes_written = bytes;
+      },
+
+      finish() {
+        const sequenceRecords = totals.sequence_records;
+        return {
+          total_records: totals.total_records,
+          sequence_records: sequenceRecords,
+          faostat_records: totals.faostat_records,
+          avg_sequence_length: sequenceRecords > 0 ? totals.length_sum / sequenceRecords : 0,
+          avg_gc_content: sequenceRecords > 0 ? totals.gc_sum / sequenceRecords : 0,
+          unique_sources: sources.size,
+          min_length: totals.min_length,
+          max_length: totals.max_length,
+          avg_quality: totals.quality_records > 0 ? totals.quality_sum / totals.quality_records : 0,
+          columns,
+          bytes_written: totals.bytes_written
+        };
+      }
+    };
   }
 
-  generateDataSummary(data) {
-    const summary = {
-      total_records: data.length,
-      sequence_records: data.filter(r => r.data_type === 'genomic_sequence').length,
-      faostat_records: data.filter(r => r.data_type === 'agricultural_statistics').length,
-      avg_sequence_length: 0,
-      avg_gc_content: 0,
-      unique_sources: new Set(data.map(r => r.source_file)).size
+  createSampleAggregator() {
+    // Per-sample sums and histograms; a collapsed row stands for `abundance` reads
+    const samples = new Map();
+
+    const quantile = (histogram, total, fraction) => {
+      const sorted = [...histogram.entries()].sort((a, b) => a[0] - b[0]);
+      let cumulative = 0;
+      for (const [value, count] of sorted) {
+        cumulative += count;
+        if (cumulative >= fraction * total) return value;
+      }
+      return sorted.length > 0 ? sorted[sorted.length - 1][0] : '';
     };
+    const mean = (sum, total) => (total > 0 ? +(sum / total).toFixed(4) : '');
 
-    const seqRecords = data.filter(r => r.data_type === 'genomic_sequence');
-    if (seqRecords.length > 0) {
-      summary.avg_sequence_length = seqRecords.reduce((sum, r) => sum + r.sequence_length, 0) / seqRecords.length;
-      summary.avg_gc_content = seqRecords.reduce((sum, r) => sum + r.gc_content, 0) / seqRecords.length;
-    }
+    return {
+      unassignedReads: 0,
+
+      add(record) {
+        // Reads that no mapping or demultiplexing step tied to a sample are counted, not tabulated
+        if (!record.sample_name) {
+          this.unassignedReads += record.abundance || 1;
+          return;
+        }
+        const key = record.sample_name;
+        if (!samples.has(key)) {
+          samples.set(key, {
+            reads: 0,
+            records: 0,
+            gcSum: 0,
+            gcSquares: 0,
+            qualities: new Map(),
+            lengths: new Map(),
+            complexity: { sequence_complexity: 0, base_entropy: 0, kmer_entropy: 0, dust_score: 0 },
+            ambiguous: 0,
+            alpha: {}
+          });
+        }
+
+        const sample = samples.get(key);
+        const weight = record.abundance || 1;
+        sample.reads += weight;
+        sample.records++;
+        sample.gcSum += record.gc_content * weight;
+        sample.gcSquares += record.gc_content * record.gc_content * weight;
+        const quality = Math.round(record.quality_score_avg * 10) / 10;
+        sample.qualities.set(quality, (sample.qualities.get(quality) || 0) + weight);
+        sample.lengths.set(record.sequence_length, (sample.lengths.get(record.sequence_length) || 0) + weight);
+        Object.keys(sample.complexity).forEach(metric => {
+          sample.complexity[metric] += (parseFloat(record[metric]) || 0) * weight;
+        });
+        if (record.has_ambiguous_bases) sample.ambiguous += weight;
+        ALPHA_METRICS.forEach(metric => {
+          if (record[metric] !== undefined && record[metric] !== '') sample.alpha[metric] = record[metric];
+        });
+      },
 
-    return summary;
+      finish() {
+        return [...samples.entries()].sort((a, b) => a[0].localeCompare(b[0])).map(([name, sample]) => {
+          const gcMean = sample.gcSum / sample.reads;
+          let lengthSum = 0;
+          sample.lengths.forEach((count, length) => { lengthSum += length * count; });
+
+          return {
+            sample: name,
+            values: {
+              data_type: 'sample_summary',
+              read_count: sample.reads,
+              unique_records: sample.records,
+              gc_mean: mean(sample.gcSum, sample.reads),
+              gc_variance: +Math.max(0, sample.gcSquares / sample.reads - gcMean * gcMean).toFixed(4),
+              quality_p10: quantile(sample.qualities, sample.reads, 0.1),
+              quality_p25: quantile(sample.qualities, sample.reads, 0.25),
+              quality_median: quantile(sample.qualities, sample.reads, 0.5),
+              quality_p75: quantile(sample.qualities, sample.reads, 0.75),
+              quality_p90: quantile(sample.qualities, sample.reads, 0.9),
+              length_min: Math.min(...sample.lengths.keys()),
+              length_p25: quantile(sample.lengths, sample.reads, 0.25),
+              length_median: quantile(sample.lengths, sample.reads, 0.5),
+              length_p75: quantile(sample.lengths, sample.reads, 0.75),
+              length_max: Math.max(...sample.lengths.keys()),
+              length_mean: mean(lengthSum, sample.reads),
+              ...Object.fromEntries(Object.entries(sample.complexity).map(([metric, sum]) => [`${metric}_mean`, mean(sum, sample.reads)])),
+              ambiguous_fraction: mean(sample.ambiguous, sample.reads),
+              ...sample.alpha
+            }
+          };
+        });
+      }
+    };
+  }
+
+  generateDataSummary(data) {
+    const summary = this.createSummaryAccumulator();
+    data.forEach(record => summary.add(record));
+    const { total_records, sequence_records, faostat_records, avg_sequence_length, avg_gc_content, unique_sources } = summary.finish();
+    return { total_records, sequence_records, faostat_records, avg_sequence_length, avg_gc_content, unique_sources };
   }
 }
\ No newline at end of file
@@ -0,0 +1,244 @@
+import fs from 'fs';
+import path from 'path';
+import { reverseComplement, readId } from './sequence-utils.js';
+
+// EMP Golay barcodes encode 24 bits as 12 nucleotides, two bits per base
+const GOLAY_NT_TO_BITS = { A: 3, C: 0, T: 2, G: 1 };
+const GOLAY_LENGTH = 12;
+const GOLAY_CORRECTABLE_BITS = 3;
+const DECODE_CACHE_LIMIT = 100000;
+
+export const UNASSIGNED = 'unassigned';
+
+export class Demultiplexer {
+  constructor(mappingData, options = {}) {
+    this.mode = options.mode || 'index';
+    this.orientation = options.orientation || 'auto';
+    this.golay = options.golay ?? true;
+    this.maxMismatches = options.maxMismatches ?? 1;
+    this.discardUnassigned = options.discardUnassigned ?? false;
+
+    this.barcodes = new Map();
+    mappingData.forEach(record => {
+      if (record.barcode && record.sample_name) {
+        this.barcodes.set(record.barcode.toUpperCase(), record.sample_name);
+      }
+    });
+
+    const lengths = new Set([...this.barcodes.keys()].map(barcode => barcode.length));
+    this.barcodeLength = options.barcodeLength || Math.max(0, ...lengths);
+    this.useGolay = this.golay && this.barcodeLength === GOLAY_LENGTH;
+    this.golayCodewords = this.useGolay
+      ? [...this.barcodes.entries()].map(([barcode, sampleName]) => ({ barcode, sampleName, bits: this.golayBits(barcode) }))
+      : [];
+    this.decodeCache = new Map();
+    this.stats = this.createStats();
+  }
+
+  get enabled() {
+    return this.barcodes.size > 0;
+  }
+
+  resetStats() {
+    this.stats = this.createStats();
+  }
+
+  createStats() {
+    return {
+      total_reads: 0,
+      assigned: 0,
+      exact: 0,
+      corrected: 0,
+      reverse_complemented: 0,
+      unassigned: 0,
+      samples: {}
+    };
+  }
+
+  golayBits(barcode) {
+    let bits = 0;
+    for (const base of barcode) {
+      const value = GOLAY_NT_TO_BITS[base];
+      if (value === undefined) return null;
+      bits = (bits << 2) | value;
+    }
+    return bits;
+  }
+
+  bitDistance(a, b) {
+    let diff = a ^ b;
+    let count = 0;
+    while (diff) {
+      diff &= diff - 1;
+      count++;
+    }
+    return count;
+  }
+
+  hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) distance++;
+    }
+    return distance;
+  }
+
+  correctBarcode(barcode) {
+    // Golay codewords sit at least 8 bits apart, so a word within 3 bits of a
+    // mapping barcode can only have come from that barcode
+    if (this.useGolay) {
+      const bits = this.golayBits(barcode);
+      if (bits === null) return null;
+      const codeword = this.golayCodewords.find(candidate =>
+        candidate.bits !== null && this.bitDistance(bits, candidate.bits) <= GOLAY_CORRECTABLE_BITS
+      );
+      return codeword ? { barcode: codeword.barcode, sampleName: codeword.sampleName } : null;
+    }
+
+    let best = null;
+    let ambiguous = false;
+    for (const [known, sampleName] of this.barcodes.entries()) {
+      const distance = this.hammingDistance(barcode, known);
+      if (distance > this.maxMismatches) continue;
+      if (!best || distance < best.distance) {
+        best = { barcode: known, sampleName, distance };
+        ambiguous = false;
+      } else if (distance === best.distance) {
+        ambiguous = true;
+      }
+    }
+    return best && !ambiguous ? best : null;
+  }
+
+  decode(barcode) {
+    if (this.decodeCache.has(barcode)) {
+      return this.decodeCache.get(barcode);
+    }
+
+    const candidates = [];
+    if (this.orientation !== 'reverse') candidates.push({ sequence: barcode, reversed: false });
+    if (this.orientation !== 'forward') candidates.push({ sequence: reverseComplement(barcode), reversed: true });
+
+    let result = null;
+    for (const { sequence, reversed } of candidates) {
+      if (this.barcodes.has(sequence)) {
+        result = { barcode: sequence, sampleName: this.barcodes.get(sequence), corrected: false, reversed };
+        break;
+      }
+    }
+    if (!result) {
+      for (const { sequence, reversed } of candidates) {
+        const match = this.correctBarcode(sequence);
+        if (match) {
+          result = { ...match, corrected: true, reversed };
+          break;
+        }
+      }
+    }
+
+    if (this.decodeCache.size >= DECODE_CACHE_LIMIT) this.decodeCache.clear();
+    this.decodeCache.set(barcode, result);
+    return result;
+  }
+
+  assign(record, barcodeRead) {
+    const barcode = barcodeRead.substring(0, this.barcodeLength).toUpperCase();
+    const match = this.decode(barcode);
+    this.stats.total_reads++;
+
+    if (!match) {
+      this.stats.unassigned++;
+      return { ...record, sample_name: '', barcode_read: barcode, demux_status: UNASSIGNED };
+    }
+
+    this.stats.assigned++;
+    this.stats[match.corrected ? 'corrected' : 'exact']++;
+    if (match.reversed) this.stats.reverse_complemented++;
+    this.stats.samples[match.sampleName] = (this.stats.samples[match.sampleName] || 0) + 1;
+
+    return {
+      ...record,
+      sample_name: match.sampleName,
+      barcode_read: barcode,
+      demux_status: match.corrected ? 'corrected' : 'exact'
+    };
+  }
+
+  assignInline(record) {
+    // Inline barcodes are the first bases of the read and are cut off once read
+    const assigned = this.assign(record, record.sequence);
+    return {
+      ...assigned,
+      sequence: record.sequence.substring(this.barcodeLength),
+      quality: record.quality.substring(this.barcodeLength)
+    };
+  }
+
+  // Items are reads, or [R1, R2] tuples: barcodes come from R1 (or the index file) and
+  // the mate takes the same sample, so both are kept or dropped together
+  async *demultiplex(items, indexRecords) {
+    if (this.mode === 'inline') {
+      for await (const item of items) {
+        const assigned = this.assignInline(Array.isArray(item) ? item[0] : item);
+        if (assigned.sample_name || !this.discardUnassigned) yield withMate(item, assigned);
+      }
+      return;
+    }
+
+    try {
+      for await (const item of items) {
+        const record = Array.isArray(item) ? item[0] : item;
+        const index = await indexRecords.next();
+        if (index.done) {
+          throw new Error('Index file has fewer reads than the sequence file');
+        }
+        if (readId(index.value.header) !== readId(record.header)) {
+          throw new Error(`Index read out of sync: ${readId(index.value.header)} vs ${readId(record.header)}`);
+        }
+        const assigned = this.assign(record, index.value.sequence);
+        if (assigned.sample_name || !this.discardUnassigned) yield withMate(item, assigned);
+      }
+    } finally {
+      await indexRecords.return?.();
+    }
+  }
+
+  getReport() {
+    const sampleCounts = {};
+    for (const sampleName of new Set(this.barcodes.values())) {
+      sampleCounts[sampleName] = this.stats.samples[sampleName] || 0;
+    }
+
+    return {
+      mode: this.mode,
+      golay_correction: this.useGolay,
+      total_reads: this.stats.total_reads,
+      assigned: this.stats.assigned,
+      exact: this.stats.exact,
+      corrected: this.stats.corrected,
+      reverse_complemented: this.stats.reverse_complemented,
+      unassigned: this.stats.unassigned,
+      assignment_rate: this.stats.total_reads > 0 ? +(this.stats.assigned / this.stats.total_reads).toFixed(4) : 0,
+      samples: sampleCounts
+    };
+  }
+
+  writeCounts(outputDir) {
+    const report = this.getReport();
+    const outputFile = path.join(outputDir, 'demultiplex_counts.tsv');
+    const lines = ['sample_name\tread_count'];
+
+    Object.entries(report.samples)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([sampleName, count]) => lines.push(`${sampleName}\t${count}`));
+    lines.push(`${UNASSIGNED}\t${report.unassigned}`);
+
+    fs.writeFileSync(outputFile, lines.join('\n') + '\n');
+    console.log(`🏷️  Per-sample read counts written to: ${outputFile}`);
+    return outputFile;
+  }
+}
+
+function withMate(item, assigned) {
+  return Array.isArray(item) ? [assigned, { ...item[1], sample_name: assigned.sample_name }] : assigned;
+}
@@ -0,0 +1,426 @@
+import fs from 'fs';
+import path from 'path';
+import { phredScores, writeLines } from './sequence-utils.js';
+
+const BASES = 'ACGT';
+const MAX_Q = 41;
+const OUTPUTS = ['reads', 'asvs'];
+// Weight of the Phred-derived prior, in observations, when learned rates are sparse
+const PRIOR_OBSERVATIONS = 100;
+const MIN_RATE = 1e-7;
+// DADA2's defaults: only pairs within this 5-mer distance are aligned, with a band of 16
+const KMER_LENGTH = 5;
+const MAX_KMER_DISTANCE = 0.42;
+const BAND = 16;
+const MATCH = 5;
+const MISMATCH = -4;
+const GAP = -8;
+
+function rateIndex(from, to, q) {
+  return (from * 4 + to) * (MAX_Q + 1) + q;
+}
+
+function logFactorial(n) {
+  if (n < 2) return 0;
+  if (n <= 20) {
+    let sum = 0;
+    for (let i = 2; i <= n; i++) sum += Math.log(i);
+    return sum;
+  }
+  // Stirling series, accurate well past double precision needs for n > 20
+  return n * Math.log(n) - n + 0.5 * Math.log(2 * Math.PI * n) + 1 / (12 * n) - 1 / (360 * n * n * n);
+}
+
+const KMER_MASK = (1 << (2 * KMER_LENGTH)) - 1;
+
+// Calls visit(kmer) for every k-mer of the sequence, rolling the code along
+function forEachKmer(codes, visit) {
+  let kmer = 0;
+  for (let i = 0; i < codes.length; i++) {
+    kmer = ((kmer << 2) | codes[i]) & KMER_MASK;
+    if (i >= KMER_LENGTH - 1) visit(kmer);
+  }
+}
+
+function kmerVector(codes) {
+  const vector = new Uint16Array(KMER_MASK + 1);
+  forEachKmer(codes, kmer => { vector[kmer]++; });
+  return vector;
+}
+
+const kmerScratch = new Uint16Array(KMER_MASK + 1);
+
+// 1 - shared k-mers / possible k-mers, as DADA2 uses to skip alignments that cannot be close
+function kmerDistance(codes, centerVector, centerLength) {
+  const possible = Math.min(codes.length, centerLength) - KMER_LENGTH + 1;
+  if (possible < 1) return 1;
+  let shared = 0;
+  forEachKmer(codes, kmer => {
+    if (++kmerScratch[kmer] <= centerVector[kmer]) shared++;
+  });
+  forEachKmer(codes, kmer => { kmerScratch[kmer] = 0; });
+  return 1 - shared / possible;
+}
+
+// Banded Needleman-Wunsch with free end gaps. Returns, for every base of `codes`, the centre
+// base it is aligned to, or -1 where it faces a gap. Cell (i, j) is stored at row i, column
+// j - i + BAND, so only the band is filled
+function alignToCenter(centerCodes, codes) {
+  const n = centerCodes.length;
+  const m = codes.length;
+  const width = 2 * BAND + 1;
+  const scores = new Float64Array((n + 1) * width).fill(-Infinity);
+  const moves = new Uint8Array((n + 1) * width);
+  const cell = (i, j) => i * width + j - i + BAND;
+  const score = (i, j) => (j < 0 || j > m || Math.abs(j - i) > BAND ? -Infinity : scores[cell(i, j)]);
+
+  for (let j = 0; j <= Math.min(m, BAND); j++) scores[cell(0, j)] = 0;
+  for (let i = 1; i <= n; i++) {
+    if (i <= BAND) scores[cell(i, 0)] = 0;
+    for (let j = Math.max(1, i - BAND); j <= Math.min(m, i + BAND); j++) {
+      const diagonal = score(i - 1, j - 1) + (centerCodes[i - 1] === codes[j - 1] ? MATCH : MISMATCH);
+      const up = score(i - 1, j) + GAP;
+      const left = score(i, j - 1) + GAP;
+      let best = diagonal;
+      let move = 1;
+      if (up > best) { best = up; move = 2; }
+      if (left > best) { best = left; move = 3; }
+      scores[cell(i, j)] = best;
+      moves[cell(i, j)] = move;
+    }
+  }
+
+  // Trailing gaps are free too, so the alignment may end anywhere on the last row or column
+  let endI = n;
+  let endJ = m;
+  for (let j = Math.max(0, n - BAND); j <= Math.min(m, n + BAND); j++) {
+    if (score(n, j) > score(endI, endJ)) { endI = n; endJ = j; }
+  }
+  for (let i = Math.max(0, m - BAND); i <= Math.min(n, m + BAND); i++) {
+    if (score(i, m) > score(endI, endJ)) { endI = i; endJ = m; }
+  }
+
+  const aligned = new Int8Array(m).fill(-1);
+  let i = endI;
+  let j = endJ;
+  while (i > 0 && j > 0) {
+    const move = moves[cell(i, j)];
+    if (move === 1) aligned[--j] = centerCodes[--i];
+    else if (move === 2) i--;
+    else j--;
+  }
+  return aligned;
+}
+
+// DADA2-style error model: substitution rates per (reference base, read base, quality) are
+// learned from the partition itself, starting from the rates the Phred scores promise
+export class Denoiser {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? false;
+    this.omegaA = options.omegaA ?? 1e-40;
+    this.minAbundance = options.minAbundance ?? 2;
+    this.maxRounds = options.maxRounds ?? 3;
+    this.output = options.output || 'reads';
+
+    if (!OUTPUTS.includes(this.output)) {
+      throw new Error(`Unknown denoising output "${this.output}" (expected ${OUTPUTS.join(', ')})`);
+    }
+    if (!(this.omegaA > 0 && this.omegaA < 1)) {
+      throw new Error(`Denoising omegaA must be between 0 and 1, got ${this.omegaA}`);
+    }
+    this.reset();
+  }
+
+  reset() {
+    this.sequences = new Map();
+    this.samples = new Set();
+    this.totalReads = 0;
+    this.skippedReads = 0;
+    this.errorRates = null;
+    this.rounds = 0;
+    this.converged = false;
+  }
+
+  add(record, sampleName) {
+    const sequence = record.sequence.toUpperCase();
+    // The error model needs a quality for every base and only knows substitutions between ACGT
+    if (!record.quality || record.quality.length !== sequence.length || /[^ACGT]/.test(sequence)) {
+      this.skippedReads++;
+      return;
+    }
+
+    let unique = this.sequences.get(sequence);
+    if (!unique) {
+      unique = {
+        sequence,
+        codes: Uint8Array.from(sequence, base => BASES.indexOf(base)),
+        abundance: 0,
+        samples: new Map(),
+        qualitySums: new Float64Array(sequence.length)
+      };
+      this.sequences.set(sequence, unique);
+    }
+
+    phredScores(record.quality).forEach((score, index) => { unique.qualitySums[index] += score; });
+    unique.abundance++;
+    unique.samples.set(sampleName, (unique.samples.get(sampleName) || 0) + 1);
+    this.samples.add(sampleName);
+    this.totalReads++;
+  }
+
+  meanQualities(unique) {
+    return Array.from(unique.qualitySums, sum => Math.max(0, Math.min(MAX_Q, Math.round(sum / unique.abundance))));
+  }
+
+  phredErrorRates() {
+    const rates = new Float64Array(16 * (MAX_Q + 1));
+    for (let q = 0; q <= MAX_Q; q++) {
+      const error = Math.min(0.75, Math.pow(10, -q / 10));
+      for (let from = 0; from < 4; from++) {
+        for (let to = 0; to < 4; to++) {
+          rates[rateIndex(from, to, q)] = from === to ? 1 - error : error / 3;
+        }
+      }
+    }
+    return rates;
+  }
+
+  learnErrorRates(partition) {
+    const counts = new Float64Array(16 * (MAX_Q + 1));
+    partition.members.forEach((center, unique) => {
+      const aligned = this.alignment(unique, center);
+      unique.qualities.forEach((q, i) => {
+        if (aligned[i] >= 0) counts[rateIndex(aligned[i], unique.codes[i], q)] += unique.abundance;
+      });
+    });
+
+    const prior = this.phredErrorRates();
+    const rates = new Float64Array(counts.length);
+    for (let q = 0; q <= MAX_Q; q++) {
+      for (let from = 0; from < 4; from++) {
+        let total = 0;
+        for (let to = 0; to < 4; to++) total += counts[rateIndex(from, to, q)];
+        for (let to = 0; to < 4; to++) {
+          const index = rateIndex(from, to, q);
+          const rate = (counts[index] + PRIOR_OBSERVATIONS * prior[index]) / (total + PRIOR_OBSERVATIONS);
+          rates[index] = Math.max(MIN_RATE, rate);
+        }
+      }
+    }
+    return { rates, counts };
+  }
+
+  alignment(unique, center) {
+    // Alignments do not depend on the error rates, so they are kept for later rounds;
+    // pairs the k-mer distance rules out are cheap to rule out again and are not stored
+    if (unique === center) return center.codes;
+    const cached = unique.alignments?.get(center);
+    if (cached) return cached;
+    if (Math.abs(unique.codes.length - center.codes.length) > BAND) return null;
+    center.kmerVector ??= kmerVector(center.codes);
+    if (kmerDistance(unique.codes, center.kmerVector, center.codes.length) > MAX_KMER_DISTANCE) return null;
+    // Reads of one amplicon and length differ by substitutions, so they line up base by base
+    const aligned = unique.codes.length === center.codes.length ? center.codes : alignToCenter(center.codes, unique.codes);
+    unique.alignments ??= new Map();
+    unique.alignments.set(center, aligned);
+    return aligned;
+  }
+
+  logLambda(unique, center, logRates, floor = -Infinity) {
+    // Log-probability that sequencing `center` produced `unique`, over the aligned bases as in
+    // DADA2; the sum only falls, so comparing against a likelier centre can stop early
+    const aligned = this.alignment(unique, center);
+    if (!aligned) return -Infinity;
+    let sum = 0;
+    for (let i = 0; i < unique.codes.length; i++) {
+      if (aligned[i] < 0) continue;
+      sum += logRates[rateIndex(aligned[i], unique.codes[i], unique.qualities[i])];
+      if (sum < floor) return -Infinity;
+    }
+    return sum;
+  }
+
+  logAbundancePValue(abundance, logExpected) {
+    // P(X >= abundance | X >= 1) for X ~ Poisson(expected), the DADA2 abundance p-value.
+    // Kept in log space: distant variants have expected counts far below the smallest double
+    if (logExpected === -Infinity) return -Infinity;
+    const expected = Math.exp(logExpected);
+    if (expected >= abundance) return 0;
+
+    let logTerm = -expected + abundance * logExpected - logFactorial(abundance);
+    let seriesSum = 1;
+    let term = 1;
+    for (let k = abundance + 1; term > 1e-12 * seriesSum; k++) {
+      term *= expected / k;
+      seriesSum += term;
+    }
+    logTerm += Math.log(seriesSum);
+    // log(1 - e^-expected), which tends to log(expected) as expected goes to 0
+    const logNonZero = expected < 1e-8 ? logExpected + Math.log1p(-expected / 2) : Math.log(-Math.expm1(-expected));
+    return logTerm - logNonZero;
+  }
+
+  partition(uniques, rates) {
+    // Divide and reassign until stable: the most abundant unique the centres cannot explain
+    // becomes a new centre, and every unique moves to the centre expected to produce the most
+    // copies of it
+    const logOmega = Math.log(this.omegaA);
+    const logRates = rates.map(Math.log);
+    const centers = [];
+    const isCenter = new Uint8Array(uniques.length);
+    const best = new Array(uniques.length).fill(null);
+    // Uniques no centre can explain are as significant as it gets
+    const logPValues = new Float64Array(uniques.length).fill(-Infinity);
+
+    const addCenter = (index) => {
+      const center = uniques[index];
+      const logAbundance = Math.log(center.abundance);
+      isCenter[index] = 1;
+      centers.push(center);
+
+      uniques.forEach((unique, i) => {
+        if (isCenter[i]) return;
+        const floor = best[i] ? best[i].logExpected - logAbundance : -Infinity;
+        const logLambda = this.logLambda(unique, center, logRates, floor);
+        if (logLambda === -Infinity) return;
+        const logExpected = logAbundance + logLambda;
+        if (best[i] && logExpected <= best[i].logExpected) return;
+        best[i] = { center, logExpected };
+        logPValues[i] = this.logAbundancePValue(unique.abundance, logExpected);
+      });
+    };
+
+    // Uniques are sorted by abundance, so a true variant becomes a centre before its own errors
+    if (uniques.length > 0) addCenter(0);
+    while (true) {
+      const next = uniques.findIndex((unique, i) => !isCenter[i] && unique.abundance >= this.minAbundance && logPValues[i] < logOmega);
+      if (next === -1) break;
+      addCenter(next);
+    }
+
+    const members = new Map();
+    let unassignedReads = 0;
+    uniques.forEach((unique, i) => {
+      if (isCenter[i]) members.set(unique, unique);
+      else if (best[i]) members.set(unique, best[i].center);
+      else unassignedReads += unique.abundance;
+    });
+
+    return { centers, members, unassignedReads };
+  }
+
+  denoise() {
+    const uniques = [...this.sequences.values()]
+      .sort((a, b) => b.abundance - a.abundance || (a.sequence < b.sequence ? -1 : 1));
+    uniques.forEach(unique => { unique.qualities = this.meanQualities(unique); });
+
+    let rates = this.phredErrorRates();
+    let partition = null;
+    let previousCenters = null;
+    let learned = null;
+    this.rounds = 0;
+    this.converged = false;
+
+    while (this.rounds < this.maxRounds) {
+      partition = this.partition(uniques, rates);
+      this.rounds++;
+      learned = this.learnErrorRates(partition);
+      const centerKey = partition.centers.map(center => center.sequence).join(',');
+      if (centerKey === previousCenters) {
+        this.converged = true;
+        break;
+      }
+      previousCenters = centerKey;
+      rates = learned.rates;
+    }
+
+    this.errorRates = learned;
+    return this.buildAsvs(partition);
+  }
+
+  buildAsvs(partition) {
+    const asvs = new Map(partition.centers.map(center => [center, {
+      sequence: center.sequence,
+      abundance: 0,
+      uniques: 0,
+      samples: new Map(),
+      qualitySum: 0,
+      members: []
+    }]));
+
+    partition.members.forEach((center, unique) => {
+      const asv = asvs.get(center);
+      asv.abundance += unique.abundance;
+      asv.uniques++;
+      asv.members.push(unique.sequence);
+      unique.samples.forEach((count, sample) => asv.samples.set(sample, (asv.samples.get(sample) || 0) + count));
+      asv.qualitySum += unique.qualitySums.reduce((sum, value) => sum + value, 0) / unique.codes.length;
+    });
+
+    const sorted = [...asvs.values()]
+      .sort((a, b) => b.abundance - a.abundance || (a.sequence < b.sequence ? -1 : 1));
+
+    this.unassignedReads = partition.unassignedReads;
+    return sorted.map((asv, index) => ({
+      id: `ASV${index + 1}`,
+      label: `ASV${index + 1};size=${asv.abundance}`,
+      sequence: asv.sequence,
+      abundance: asv.abundance,
+      uniques: asv.uniques,
+      samples: asv.samples,
+      quality_score_avg: asv.abundance > 0 ? asv.qualitySum / asv.abundance : 0,
+      // Sequences of the uniques denoised into this ASV, so filters on the ASV reach them too
+      members: asv.members
+    }));
+  }
+
+  errorModelJSON() {
+    const transitions = {};
+    const { rates, counts } = this.errorRates;
+    for (let from = 0; from < 4; from++) {
+      for (let to = 0; to < 4; to++) {
+        if (from === to) continue;
+        const observed = [];
+        for (let q = 0; q <= MAX_Q; q++) {
+          let total = 0;
+          for (let base = 0; base < 4; base++) total += counts[rateIndex(from, base, q)];
+          if (total === 0) continue;
+          observed.push({ quality: q, rate: +rates[rateIndex(from, to, q)].toExponential(4), observations: total });
+        }
+        transitions[`${BASES[from]}2${BASES[to]}`] = observed;
+      }
+    }
+    return { rounds: this.rounds, converged: this.converged, transitions };
+  }
+
+  async writeOutputs(outputDir, sampleNames = [], asvs = this.denoise()) {
+    const samples = [...new Set([...sampleNames, ...[...this.samples].sort()])];
+    const fastaFile = path.join(outputDir, 'asv_sequences.fasta');
+    const tableFile = path.join(outputDir, 'asv_table.tsv');
+    const errorModelFile = path.join(outputDir, 'error_model.json');
+
+    await writeLines(fastaFile, asvs.flatMap(asv => [`>${asv.label}`, asv.sequence]));
+    await writeLines(tableFile, [
+      ['#OTU ID', ...samples].join('\t'),
+      ...asvs.map(asv => [asv.id, ...samples.map(sample => asv.samples.get(sample) || 0)].join('\t'))
+    ]);
+    fs.writeFileSync(errorModelFile, JSON.stringify(this.errorModelJSON(), null, 2));
+
+    return { fastaFile, tableFile, errorModelFile, asvs };
+  }
+
+  getReport(asvs) {
+    return {
+      settings: { omega_a: this.omegaA, min_abundance: this.minAbundance, max_rounds: this.maxRounds },
+      input_reads: this.totalReads,
+      skipped_reads: this.skippedReads,
+      unique_sequences: this.sequences.size,
+      asvs: asvs.length,
+      reads_in_asvs: asvs.reduce((sum, asv) => sum + asv.abundance, 0),
+      unassigned_reads: this.unassignedReads,
+      rounds: this.rounds,
+      converged: this.converged,
+      samples: this.samples.size
+    };
+  }
+}
@@ -0,0 +1,94 @@
+import path from 'path';
+import { writeLines } from './sequence-utils.js';
+
+const SIZE_ANNOTATION = /;size=(\d+)/;
+
+export class Dereplicator {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? false;
+    this.minSize = options.minSize ?? 1;
+    this.discardSingletons = options.discardSingletons ?? false;
+    this.output = options.output || 'reads';
+
+    if (!['reads', 'uniques'].includes(this.output)) {
+      throw new Error(`Unknown dereplication output "${this.output}" (expected reads, uniques)`);
+    }
+    this.reset();
+  }
+
+  reset() {
+    this.sequences = new Map();
+    this.samples = new Set();
+    this.totalReads = 0;
+  }
+
+  readSize(header) {
+    // Input that was dereplicated before keeps its abundance
+    const match = (header || '').match(SIZE_ANNOTATION);
+    return match ? parseInt(match[1], 10) : 1;
+  }
+
+  add(record, sampleName, qualityAverage = 0) {
+    const sequence = record.sequence.toUpperCase();
+    const size = this.readSize(record.header);
+    let unique = this.sequences.get(sequence);
+
+    if (!unique) {
+      unique = { sequence, abundance: 0, samples: new Map(), qualitySum: 0 };
+      this.sequences.set(sequence, unique);
+    }
+
+    unique.abundance += size;
+    unique.samples.set(sampleName, (unique.samples.get(sampleName) || 0) + size);
+    unique.qualitySum += (parseFloat(qualityAverage) || 0) * size;
+    this.samples.add(sampleName);
+    this.totalReads += size;
+  }
+
+  uniques() {
+    const minSize = Math.max(this.minSize, this.discardSingletons ? 2 : 1);
+    const sorted = [...this.sequences.values()]
+      .filter(unique => unique.abundance >= minSize)
+      .sort((a, b) => b.abundance - a.abundance || (a.sequence < b.sequence ? -1 : 1));
+
+    return sorted.map((unique, index) => ({
+      id: `Uniq${index + 1}`,
+      label: `Uniq${index + 1};size=${unique.abundance}`,
+      sequence: unique.sequence,
+      abundance: unique.abundance,
+      samples: unique.samples,
+      quality_score_avg: unique.abundance > 0 ? unique.qualitySum / unique.abundance : 0
+    }));
+  }
+
+  sampleNames() {
+    return [...this.samples].sort();
+  }
+
+  async writeOutputs(outputDir, uniques = this.uniques()) {
+    const samples = this.sampleNames();
+    const fastaFile = path.join(outputDir, 'dereplicated.fasta');
+    const tableFile = path.join(outputDir, 'dereplicated_abundance.tsv');
+
+    await writeLines(fastaFile, uniques.flatMap(unique => [`>${unique.label}`, unique.sequence]));
+    await writeLines(tableFile, [
+      ['#OTU ID', ...samples].join('\t'),
+      ...uniques.map(unique => [unique.id, ...samples.map(sample => unique.samples.get(sample) || 0)].join('\t'))
+    ]);
+
+    return { fastaFile, tableFile, uniques };
+  }
+
+  getReport(uniques = this.uniques()) {
+    const singletons = [...this.sequences.values()].filter(unique => unique.abundance === 1).length;
+    return {
+      input_reads: this.totalReads,
+      unique_sequences: this.sequences.size,
+      singletons,
+      reported_sequences: uniques.length,
+      reads_in_reported: uniques.reduce((sum, unique) => sum + unique.abundance, 0),
+      min_size: Math.max(this.minSize, this.discardSingletons ? 2 : 1),
+      samples: this.samples.size
+    };
+  }
+}
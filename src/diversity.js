@@ -0,0 +1,99 @@
+// Diversity metrics over per-sample feature counts; definitions follow scikit-bio,
+// which QIIME 2 uses, so values can be compared with its output
+export const ALPHA_METRICS = ['observed_features', 'shannon', 'simpson', 'pielou_evenness', 'chao1', 'ace', 'goods_coverage'];
+
+const ACE_RARE_THRESHOLD = 10;
+
+export function sampleCounts(features) {
+  // Feature rows ({ samples: Map(sample -> count) }) turned into one count vector per sample
+  const samples = [...new Set(features.flatMap(feature => [...feature.samples.keys()]))].sort();
+  return new Map(samples.map(sample => [sample, features.map(feature => feature.samples.get(sample) || 0)]));
+}
+
+function frequencyCounts(counts) {
+  const frequencies = new Map();
+  counts.forEach(count => {
+    if (count > 0) frequencies.set(count, (frequencies.get(count) || 0) + 1);
+  });
+  return frequencies;
+}
+
+export function shannon(counts, base = 2) {
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  if (total === 0) return 0;
+  let entropy = 0;
+  counts.forEach(count => {
+    if (count > 0) {
+      const p = count / total;
+      entropy -= p * Math.log(p);
+    }
+  });
+  return entropy / Math.log(base);
+}
+
+export function simpson(counts) {
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  if (total === 0) return 0;
+  return 1 - counts.reduce((sum, count) => sum + (count / total) ** 2, 0);
+}
+
+export function chao1(counts) {
+  // Bias-corrected form, defined even when there are no doubletons
+  const observed = counts.filter(count => count > 0).length;
+  const frequencies = frequencyCounts(counts);
+  const singles = frequencies.get(1) || 0;
+  const doubles = frequencies.get(2) || 0;
+  return observed + (singles * (singles - 1)) / (2 * (doubles + 1));
+}
+
+export function ace(counts, rareThreshold = ACE_RARE_THRESHOLD) {
+  const frequencies = frequencyCounts(counts);
+  let rareFeatures = 0;
+  let abundantFeatures = 0;
+  let rareReads = 0;
+  let weightedSum = 0;
+
+  frequencies.forEach((features, count) => {
+    if (count <= rareThreshold) {
+      rareFeatures += features;
+      rareReads += count * features;
+      weightedSum += count * (count - 1) * features;
+    } else {
+      abundantFeatures += features;
+    }
+  });
+  if (rareReads === 0) return abundantFeatures;
+
+  const singles = frequencies.get(1) || 0;
+  const coverage = 1 - singles / rareReads;
+  // Every rare read a singleton: the estimator is undefined
+  if (coverage === 0) return null;
+
+  const gamma = rareReads > 1
+    ? Math.max((rareFeatures / coverage) * weightedSum / (rareReads * (rareReads - 1)) - 1, 0)
+    : 0;
+  return abundantFeatures + rareFeatures / coverage + (singles / coverage) * gamma;
+}
+
+export function goodsCoverage(counts) {
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  if (total === 0) return null;
+  const singles = counts.filter(count => count === 1).length;
+  return 1 - singles / total;
+}
+
+export function alphaDiversity(counts) {
+  const observed = counts.filter(count => count > 0).length;
+  const entropy = shannon(counts, Math.E);
+  const round = value => (value === null ? null : +value.toFixed(4));
+
+  return {
+    observed_features: observed,
+    shannon: round(shannon(counts)),
+    simpson: round(simpson(counts)),
+    pielou_evenness: observed > 1 ? round(entropy / Math.log(observed)) : null,
+    chao1: round(chao1(counts)),
+    ace: round(ace(counts)),
+    goods_coverage: round(goodsCoverage(counts))
+  };
+}
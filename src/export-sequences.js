@@ -0,0 +1,49 @@
+import { DataExtractor } from './data-extractor.js';
+import { MappingParser } from './mapping-parser.js';
+import { loadPipelineConfig } from './pipeline-config.js';
+
+// npm run export -- --stage uniques --format fasta --header usearch --output sequences.fasta
+const ARGUMENTS = { '--format': 'format', '--stage': 'stage', '--header': 'headerStyle', '--line-width': 'lineWidth', '--output': 'outputFile' };
+
+function parseArguments(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const key = ARGUMENTS[args[i]];
+    if (!key || args[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete argument "${args[i]}" (expected ${Object.keys(ARGUMENTS).join(', ')})`);
+    }
+    options[key] = key === 'lineWidth' ? parseInt(args[i + 1], 10) : args[i + 1];
+  }
+  return options;
+}
+
+async function exportSequences() {
+  console.log('🚀 Exporting processed sequences...\n');
+
+  try {
+    const config = loadPipelineConfig();
+    config.sequenceExport = { ...config.sequenceExport, ...parseArguments(process.argv.slice(2)), enabled: true };
+    // Collapsed stages need their step switched on even when the pipeline config leaves it off
+    if (config.sequenceExport.stage === 'uniques') config.dereplication = { ...config.dereplication, enabled: true };
+    if (config.sequenceExport.stage === 'asvs') config.denoising = { ...config.denoising, enabled: true };
+
+    const extractor = new DataExtractor(config);
+    await extractor.ensureDirectories();
+    const mappingData = await new MappingParser().parseMappingFile('./mapping_files/2097_mapping_file.txt');
+    extractor.configureFromMapping(mappingData);
+
+    // Reads go through every configured step; the feature rows themselves are not needed here
+    const features = extractor.streamFastqFeatures();
+    while (!(await features.next()).done);
+
+    if (!extractor.reports.sequence_export) {
+      throw new Error('No sequences were exported. Please check your input files.');
+    }
+    console.log('\n✅ Sequence export completed successfully!');
+  } catch (error) {
+    console.error('\n❌ Error during sequence export:', error.message);
+    process.exit(1);
+  }
+}
+
+exportSequences();
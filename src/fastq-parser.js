@@ -1,72 +1,458 @@
 import fs from 'fs';
 import { createReadStream, createWriteStream } from 'fs';
-import { createGunzip } from 'zlib';
+import zlib, { createGunzip } from 'zlib';
 import { pipeline } from 'stream/promises';
+import { createInterface } from 'readline';
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+const ZSTD_MAGIC = [0x28, 0xb5, 0x2f, 0xfd];
+const DUST_WINDOW = 64;
+const DUST_MAX_SCORE = 31; // a 64 bp homopolymer window
+const DINUCLEOTIDE_REPEAT_UNITS = 6;
+
+export const PHRED_ENCODINGS = {
+  phred33: { name: 'Sanger / Illumina 1.8+ (Phred+33)', offset: 33, solexa: false },
+  phred64: { name: 'Illumina 1.3-1.7 (Phred+64)', offset: 64, solexa: false },
+  solexa64: { name: 'Solexa / Illumina 1.0 (Solexa+64)', offset: 64, solexa: true }
+};
+
+const VALIDATION_POLICIES = ['strict', 'lenient', 'repair'];
+const VALID_SEQUENCE = /^[ACGTUNRYSWKMBDHV.-]*$/i;
+const MAX_REPORTED_ISSUES = 1000;
+
+export class FastqValidationError extends Error {
+  constructor(issue) {
+    super(`${issue.file}:${issue.line}: ${issue.message}${issue.record_id ? ` (record ${issue.record_id})` : ''}`);
+    this.name = 'FastqValidationError';
+    this.issue = issue;
+  }
+}
 
 export class FastqParser {
-  constructor() {
+  constructor(options = {}) {
     this.sequences = [];
     this.currentEntry = {};
-    this.lineCount = 0;
+    this.state = 'header';
+    this.resync = null;
+    this.lineNumber = 0;
+    this.filePath = null;
+    this.phredEncoding = options.phredEncoding || 'auto';
+    this.encodingSampleSize = options.encodingSampleSize ?? 10000;
+    this.encoding = null;
+    this.qualityTable = null;
+    this.validation = options.validation || 'lenient';
+    this.format = 'fastq';
+
+    if (!VALIDATION_POLICIES.includes(this.validation)) {
+      throw new Error(`Unknown FASTQ validation policy "${this.validation}" (expected ${VALIDATION_POLICIES.join(', ')})`);
+    }
+    this.resetValidation();
+  }
+
+  resetValidation() {
+    this.validationStats = { records: 0, dropped: 0, repaired: 0, issue_counts: {} };
+    this.issues = [];
+  }
+
+  // Records an issue and tells the caller whether the policy lets it repair the record.
+  // Strict mode stops at the first issue of any kind.
+  reportIssue(type, message, severity = 'error', line = this.currentEntry.line ?? this.lineNumber) {
+    const issue = {
+      file: this.filePath,
+      line,
+      record_id: this.currentEntry.header ? this.currentEntry.header.split(/\s+/)[0] : null,
+      type,
+      severity,
+      message
+    };
+
+    if (this.validation === 'strict') {
+      throw new FastqValidationError(issue);
+    }
+
+    this.validationStats.issue_counts[type] = (this.validationStats.issue_counts[type] || 0) + 1;
+    if (this.issues.length < MAX_REPORTED_ISSUES) {
+      this.issues.push(issue);
+    }
+    return this.validation === 'repair';
+  }
+
+  startEntry(trimmedLine) {
+    this.currentEntry = {
+      header: trimmedLine.substring(1), // Remove @ symbol
+      sequence: '',
+      plus: '',
+      quality: '',
+      line: this.lineNumber
+    };
+    this.state = 'sequence';
   }
 
   parseFastqLine(line) {
+    this.lineNumber++;
     const trimmedLine = line.trim();
-    if (!trimmedLine) return;
+    if (!trimmedLine) {
+      if (this.state !== 'header') {
+        this.reportIssue('blank_line', 'Blank line inside a record', 'warning', this.lineNumber);
+      }
+      return null;
+    }
 
-    const lineType = this.lineCount % 4;
-    
-    switch (lineType) {
-      case 0: // Header line (starts with @)
-        if (this.currentEntry.header) {
-          this.sequences.push({ ...this.currentEntry });
+    switch (this.state) {
+      case 'header':
+        if (this.resync) return this.resyncLine(trimmedLine);
+        if (!trimmedLine.startsWith('@')) {
+          // Skip ahead to the next header so one damaged record can't shift the rest
+          this.currentEntry = {};
+          this.reportIssue('invalid_header', `Expected a header starting with "@", found "${trimmedLine.substring(0, 20)}"`, 'error', this.lineNumber);
+          this.resync = { candidate: null };
+          return null;
+        }
+        this.startEntry(trimmedLine);
+        return null;
+
+      case 'sequence':
+        if (trimmedLine.startsWith('+')) {
+          this.currentEntry.plus = trimmedLine;
+          this.state = 'quality';
+          return this.currentEntry.sequence.length === 0 ? this.finishEntry() : null;
+        }
+        if (trimmedLine.startsWith('@') && this.currentEntry.sequence.length > 0) {
+          this.reportIssue('missing_quality', 'Record ends without a "+" line and qualities');
+          this.validationStats.records++;
+          this.dropEntry();
+          this.startEntry(trimmedLine);
+          return null;
+        }
+        // Multi-line FASTQ wraps the sequence over several lines
+        this.currentEntry.sequence += trimmedLine;
+        return null;
+
+      case 'quality': {
+        const { sequence, quality } = this.currentEntry;
+        if (trimmedLine.startsWith('@') && quality.length + trimmedLine.length > sequence.length) {
+          // '@' is a legal quality character, but not one that overruns the sequence length
+          const completedEntry = this.finishEntry();
+          this.startEntry(trimmedLine);
+          return completedEntry;
         }
-        this.currentEntry = {
-          header: trimmedLine.substring(1), // Remove @ symbol
-          sequence: '',
-          plus: '',
-          quality: ''
-        };
-        break;
-      case 1: // Sequence line
-        this.currentEntry.sequence = trimmedLine;
-        break;
-      case 2: // Plus line (starts with +)
-        this.currentEntry.plus = trimmedLine;
-        break;
-      case 3: // Quality line
-        this.currentEntry.quality = trimmedLine;
-        break;
+        this.currentEntry.quality += trimmedLine;
+        return this.currentEntry.quality.length >= sequence.length ? this.finishEntry() : null;
+      }
     }
-    
-    this.lineCount++;
+    return null;
   }
 
-  async parseFile(filePath) {
-    return new Promise((resolve, reject) => {
-      const stream = createReadStream(filePath, { encoding: 'utf8' });
-      let buffer = '';
+  // Inside a damaged stretch a line starting with '@' may just be a quality string, so it only
+  // counts as the next header once sequence lines and a '+' line follow it
+  resyncLine(trimmedLine) {
+    const { candidate } = this.resync;
+    if (candidate && candidate.sequence.length > 0 && trimmedLine.startsWith('+')) {
+      this.resync = null;
+      this.currentEntry = { header: candidate.header, sequence: candidate.sequence.join(''), plus: trimmedLine, quality: '', line: candidate.line };
+      this.state = 'quality';
+      return null;
+    }
+    if (trimmedLine.startsWith('@')) {
+      this.resync.candidate = { header: trimmedLine.substring(1), sequence: [], line: this.lineNumber };
+    } else if (candidate && VALID_SEQUENCE.test(trimmedLine)) {
+      candidate.sequence.push(trimmedLine);
+    } else {
+      this.resync.candidate = null;
+    }
+    return null;
+  }
+
+  // FASTA records have no "+" line or qualities; the sequence may wrap over any number of lines
+  parseFastaLine(line) {
+    this.lineNumber++;
+    const trimmedLine = line.trim();
+    if (!trimmedLine || trimmedLine.startsWith(';')) return null;
+
+    if (trimmedLine.startsWith('>')) {
+      const completedEntry = this.state === 'sequence' ? this.finishEntry() : null;
+      this.currentEntry = { header: trimmedLine.substring(1), sequence: '', plus: '', quality: '', line: this.lineNumber };
+      this.state = 'sequence';
+      return completedEntry;
+    }
+    if (this.state !== 'sequence') {
+      this.reportIssue('invalid_header', `Expected a header starting with ">", found "${trimmedLine.substring(0, 20)}"`, 'error', this.lineNumber);
+      return null;
+    }
+    this.currentEntry.sequence += trimmedLine;
+    return null;
+  }
+
+  finishEntry() {
+    this.validationStats.records++;
+    const entry = this.validateEntry(this.currentEntry);
+    this.currentEntry = {};
+    this.state = 'header';
+    return entry;
+  }
+
+  validateEntry(entry) {
+    let repaired = false;
+
+    if (this.format === 'fasta' && entry.sequence.length === 0) {
+      this.reportIssue('empty_sequence', 'Record has no sequence');
+      return this.dropEntry();
+    }
+
+    if (!VALID_SEQUENCE.test(entry.sequence)) {
+      if (!this.reportIssue('invalid_sequence', 'Sequence contains characters outside the IUPAC alphabet')) return this.dropEntry();
+      entry.sequence = entry.sequence.replace(/[^ACGTUNRYSWKMBDHV.-]/gi, 'N');
+      repaired = true;
+    }
+
+    if (entry.plus.length > 1 && entry.plus.substring(1) !== entry.header) {
+      if (this.reportIssue('plus_mismatch', 'The "+" line repeats a different id than the header', 'warning')) {
+        entry.plus = '+';
+        repaired = true;
+      }
+    }
+
+    if (/[^!-~]/.test(entry.quality)) {
+      if (!this.reportIssue('invalid_quality', 'Quality string contains characters outside "!" to "~"')) return this.dropEntry();
+      entry.quality = entry.quality.replace(/[^!-~]/g, '!');
+      repaired = true;
+    }
+
+    if (this.format === 'fastq' && entry.quality.length !== entry.sequence.length) {
+      const message = `Sequence has ${entry.sequence.length} bases but quality has ${entry.quality.length} characters`;
+      if (!this.reportIssue('length_mismatch', message)) return this.dropEntry();
+      // Missing qualities become the lowest score so later filters treat them as unreliable
+      entry.quality = entry.quality.substring(0, entry.sequence.length).padEnd(entry.sequence.length, '!');
+      repaired = true;
+    }
 
-      stream.on('data', (chunk) => {
-        buffer += chunk;
-        const lines = buffer.split('\n');
-        buffer = lines.pop(); // Keep incomplete line in buffer
+    if (repaired) this.validationStats.repaired++;
+    delete entry.line;
+    entry.quality = this.normalizeQuality(entry.quality);
+    return entry;
+  }
+
+  dropEntry() {
+    this.validationStats.dropped++;
+    return null;
+  }
+
+  flush() {
+    let partialEntry = null;
+    if (this.state === 'quality' || (this.format === 'fasta' && this.state === 'sequence')) {
+      partialEntry = this.finishEntry();
+    } else if (this.state === 'sequence') {
+      this.reportIssue('truncated_record', 'File ends in the middle of a record');
+      this.validationStats.records++;
+      this.dropEntry();
+    }
+    this.currentEntry = {};
+    this.state = 'header';
+    this.resync = null;
+    return partialEntry;
+  }
+
+  getValidationReport() {
+    return {
+      file: this.filePath,
+      policy: this.validation,
+      records: this.validationStats.records,
+      dropped: this.validationStats.dropped,
+      repaired: this.validationStats.repaired,
+      issue_counts: { ...this.validationStats.issue_counts },
+      issues: this.issues,
+      issues_truncated: Object.values(this.validationStats.issue_counts).reduce((sum, count) => sum + count, 0) > this.issues.length
+    };
+  }
 
-        lines.forEach(line => this.parseFastqLine(line));
-      });
+  async detectCompression(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const magic = Buffer.alloc(18);
+      const { bytesRead } = await handle.read(magic, 0, magic.length, 0);
+      const startsWith = (bytes) => bytesRead >= bytes.length && bytes.every((byte, i) => magic[i] === byte);
 
-      stream.on('end', () => {
-        if (buffer.trim()) {
-          this.parseFastqLine(buffer);
+      if (startsWith(ZSTD_MAGIC)) return 'zstd';
+      if (startsWith(GZIP_MAGIC)) {
+        // BGZF blocks are gzip members carrying a "BC" extra subfield
+        const hasExtra = bytesRead >= 14 && (magic[3] & 0x04) !== 0;
+        return hasExtra && magic[12] === 0x42 && magic[13] === 0x43 ? 'bgzip' : 'gzip';
+      }
+      return 'none';
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async openStream(filePath) {
+    const compression = await this.detectCompression(filePath);
+    const fileStream = createReadStream(filePath);
+
+    switch (compression) {
+      case 'gzip':
+      case 'bgzip':
+        // bgzip output is a series of gzip members, which gunzip reads back to back
+        return this.decompress(fileStream, createGunzip());
+      case 'zstd':
+        if (typeof zlib.createZstdDecompress !== 'function') {
+          fileStream.destroy();
+          throw new Error(`zstd-compressed FASTQ requires Node.js 22.15 or newer: ${filePath}`);
         }
-        if (this.currentEntry.header) {
-          this.sequences.push(this.currentEntry);
+        return this.decompress(fileStream, zlib.createZstdDecompress());
+      default:
+        return fileStream;
+    }
+  }
+
+  decompress(fileStream, decompressor) {
+    fileStream.on('error', (error) => decompressor.destroy(error));
+    return fileStream.pipe(decompressor);
+  }
+
+  detectPhredEncoding(qualities) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const quality of qualities) {
+      for (let i = 0; i < quality.length; i++) {
+        const code = quality.charCodeAt(i);
+        if (code < min) min = code;
+        if (code > max) max = code;
+      }
+    }
+    const sampled = qualities.length;
+
+    // Phred+33 is the only encoding using characters below ';' (59), Solexa+64 starts at ';',
+    // Phred+64 at '@'. Files of nothing but high scores fit both, so Phred+33 wins unless
+    // the top characters are out of its usual range.
+    let key = 'phred33';
+    let ambiguous = false;
+    if (min !== Infinity && min >= 59) {
+      if (min < 64) key = 'solexa64';
+      else if (max > 75) key = 'phred64';
+      else ambiguous = true;
+    }
+
+    return {
+      key,
+      ...PHRED_ENCODINGS[key],
+      ambiguous,
+      min_char: min !== Infinity ? String.fromCharCode(min) : null,
+      max_char: max !== -Infinity ? String.fromCharCode(max) : null,
+      sampled_reads: sampled
+    };
+  }
+
+  setEncoding(encoding) {
+    this.encoding = encoding;
+    this.qualityTable = null;
+    if (!encoding || encoding.offset === 33) return;
+
+    // Qualities are rewritten to Phred+33 so every later stage can assume one encoding
+    this.qualityTable = new Map();
+    for (let code = encoding.offset - 5; code < 127; code++) {
+      let score = code - encoding.offset;
+      if (encoding.solexa) {
+        score = Math.round(10 * Math.log10(Math.pow(10, score / 10) + 1));
+      }
+      this.qualityTable.set(String.fromCharCode(code), String.fromCharCode(Math.max(0, Math.min(score, 93)) + 33));
+    }
+  }
+
+  normalizeQuality(quality) {
+    if (!this.qualityTable) return quality;
+    let normalized = '';
+    for (const char of quality) {
+      normalized += this.qualityTable.get(char) || '!';
+    }
+    return normalized;
+  }
+
+  fixedEncoding() {
+    const encoding = PHRED_ENCODINGS[this.phredEncoding];
+    if (!encoding) {
+      throw new Error(`Unknown Phred encoding "${this.phredEncoding}" (expected auto, ${Object.keys(PHRED_ENCODINGS).join(', ')})`);
+    }
+    return { key: this.phredEncoding, ...encoding, ambiguous: false };
+  }
+
+  // Settles the encoding from the sampled reads, then lets them through in Phred+33
+  *releaseSample(sample) {
+    this.setEncoding(this.detectPhredEncoding(sample.qualities));
+    for (const entry of sample.entries) {
+      entry.quality = this.normalizeQuality(entry.quality);
+      yield entry;
+    }
+  }
+
+  async *records(filePath) {
+    const encoding = this.phredEncoding === 'auto' ? null : this.fixedEncoding();
+    const stream = await this.openStream(filePath);
+    const lines = createInterface({ input: stream, crlfDelay: Infinity });
+    this.filePath = filePath;
+    this.currentEntry = {};
+    this.state = 'header';
+    this.resync = null;
+    this.lineNumber = 0;
+    this.format = null;
+    this.setEncoding(encoding);
+    // With auto detection the first reads are held back until their qualities settle the encoding
+    let sample = encoding ? null : { entries: [], qualities: [] };
+    const holdBack = (entry, repairedBefore) => {
+      sample.entries.push(entry);
+      // Repairs pad qualities with '!', which would make any file look like Phred+33
+      if (this.validationStats.repaired === repairedBefore) sample.qualities.push(entry.quality);
+    };
+    let parseLine = null;
+
+    for await (const line of lines) {
+      if (!parseLine) {
+        if (!line.trim()) {
+          this.lineNumber++;
+          continue;
+        }
+        // The first line tells FASTA from FASTQ, so the file is read only once
+        this.format = line.trim().startsWith('>') ? 'fasta' : 'fastq';
+        if (this.format === 'fasta') {
+          this.setEncoding(null);
+          sample = null;
         }
-        resolve(this.sequences);
-      });
+        parseLine = this.format === 'fasta' ? line => this.parseFastaLine(line) : line => this.parseFastqLine(line);
+      }
 
-      stream.on('error', reject);
-    });
+      const repairedBefore = this.validationStats.repaired;
+      const entry = parseLine(line);
+      if (!entry) continue;
+      if (!sample) {
+        yield entry;
+        continue;
+      }
+      holdBack(entry, repairedBefore);
+      if (sample.entries.length >= this.encodingSampleSize) {
+        yield* this.releaseSample(sample);
+        sample = null;
+      }
+    }
+
+    this.format = this.format ?? 'fastq';
+    const repairedBefore = this.validationStats.repaired;
+    const partialEntry = this.flush();
+    if (partialEntry && sample) holdBack(partialEntry, repairedBefore);
+    else if (partialEntry) yield partialEntry;
+    if (sample) yield* this.releaseSample(sample);
+  }
+
+  async *featureRows(filePath) {
+    let index = 0;
+    for await (const entry of this.records(filePath)) {
+      yield this.extractRecordFeatures(entry, index++);
+    }
+  }
+
+  async parseFile(filePath) {
+    for await (const entry of this.records(filePath)) {
+      this.sequences.push(entry);
+    }
+    return this.sequences;
   }
 
   getSequenceStats(sequence) {
@@ -95,25 +481,114 @@ export class FastqParser {
   }
 
   extractFeatures() {
-    return this.sequences.map((entry, index) => {
-      const stats = this.getSequenceStats(entry.sequence);
-      const headerParts = entry.header.split(' ');
-      
-      return {
-        sequence_id: `seq_${index + 1}`,
-        header: entry.header,
-        sequence_length: stats.length,
-        gc_content: stats.gc_content,
-        a_count: stats.a_count,
-        t_count: stats.t_count,
-        g_count: stats.g_count,
-        c_count: stats.c_count,
-        n_count: stats.n_count,
-        quality_score_avg: this.calculateAverageQuality(entry.quality),
-        sequence_complexity: this.calculateComplexity(entry.sequence),
-        has_ambiguous_bases: stats.n_count > 0 ? 1 : 0
-      };
+    return this.sequences.map((entry, index) => this.extractRecordFeatures(entry, index));
+  }
+
+  extractRecordFeatures(entry, index) {
+    const stats = this.getSequenceStats(entry.sequence);
+    
+    return {
+      sequence_id: `seq_${index + 1}`,
+      header: entry.header,
+      sequence_length: stats.length,
+      gc_content: stats.gc_content,
+      a_count: stats.a_count,
+      t_count: stats.t_count,
+      g_count: stats.g_count,
+      c_count: stats.c_count,
+      n_count: stats.n_count,
+      quality_score_avg: this.calculateAverageQuality(entry.quality),
+      sequence_complexity: this.calculateComplexity(entry.sequence),
+      has_ambiguous_bases: stats.n_count > 0 ? 1 : 0,
+      ...this.calculateComplexityMetrics(entry.sequence)
+    };
+  }
+
+  calculateComplexityMetrics(sequence) {
+    const upper = sequence.toUpperCase();
+    const dinucleotideRepeat = this.calculateDinucleotideRepeat(upper);
+    
+    return {
+      base_entropy: this.calculateKmerEntropy(upper, 1),
+      kmer_entropy: this.calculateKmerEntropy(upper, 3),
+      dust_score: this.calculateDustScore(upper),
+      max_homopolymer: this.calculateMaxHomopolymer(upper),
+      max_dinucleotide_repeat: dinucleotideRepeat,
+      has_dinucleotide_repeat: dinucleotideRepeat >= DINUCLEOTIDE_REPEAT_UNITS ? 1 : 0
+    };
+  }
+
+  calculateKmerEntropy(sequence, k) {
+    // Shannon entropy in bits: 2 is the maximum for bases, 6 for 3-mers
+    const counts = new Map();
+    let total = 0;
+    for (let i = 0; i <= sequence.length - k; i++) {
+      const kmer = sequence.substring(i, i + k);
+      counts.set(kmer, (counts.get(kmer) || 0) + 1);
+      total++;
+    }
+    if (total === 0) return 0;
+
+    let entropy = 0;
+    counts.forEach(count => {
+      const p = count / total;
+      entropy -= p * Math.log2(p);
     });
+    return +entropy.toFixed(4);
+  }
+
+  calculateDustScore(sequence) {
+    // Highest DUST triplet score over 64 bp windows, scaled to 0-100 as in PRINSEQ
+    const windowSize = Math.min(DUST_WINDOW, sequence.length);
+    if (windowSize < 4) return 0;
+
+    let maxScore = 0;
+    const step = DUST_WINDOW / 2;
+    for (let start = 0; start === 0 || start + windowSize <= sequence.length; start += step) {
+      const window = sequence.substring(start, start + windowSize);
+      const counts = new Map();
+      for (let i = 0; i <= window.length - 3; i++) {
+        const triplet = window.substring(i, i + 3);
+        counts.set(triplet, (counts.get(triplet) || 0) + 1);
+      }
+
+      let score = 0;
+      counts.forEach(count => { score += (count * (count - 1)) / 2; });
+      score /= window.length - 3;
+      maxScore = Math.max(maxScore, score);
+    }
+    return +((maxScore * 100) / DUST_MAX_SCORE).toFixed(2);
+  }
+
+  calculateMaxHomopolymer(sequence) {
+    let maxRun = sequence.length > 0 ? 1 : 0;
+    let run = 1;
+    for (let i = 1; i < sequence.length; i++) {
+      run = sequence[i] === sequence[i - 1] ? run + 1 : 1;
+      if (run > maxRun) maxRun = run;
+    }
+    return maxRun;
+  }
+
+  calculateDinucleotideRepeat(sequence) {
+    // Longest tandem run of a two-base unit such as ACACAC, counted in units
+    let maxUnits = 0;
+    for (let phase = 0; phase < 2; phase++) {
+      let units = 0;
+      let previous = null;
+      for (let i = phase; i + 2 <= sequence.length; i += 2) {
+        const unit = sequence.substring(i, i + 2);
+        if (unit[0] === unit[1]) {
+          units = 0;
+          previous = null;
+          continue;
+        }
+        units = unit === previous ? units + 1 : 1;
+        previous = unit;
+        if (units > maxUnits) maxUnits = units;
+      }
+    }
+    return maxUnits;
   }
 
   calculateAverageQuality(qualityString) {
@@ -121,7 +596,7 @@ export class FastqParser {
     
     let sum = 0;
     for (const char of qualityString) {
-      // Convert ASCII to Phred quality score (assuming Phred+33 encoding)
+      // Convert ASCII to Phred quality score (qualities are normalised to Phred+33 while parsing)
       sum += char.charCodeAt(0) - 33;
     }
     return qualityString.length > 0 ? (sum / qualityString.length).toFixed(2) : 0;
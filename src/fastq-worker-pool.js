@@ -0,0 +1,112 @@
+import { Worker } from 'worker_threads';
+
+// Batches a worker may send ahead of the main thread before it waits, so inputs that
+// finish early cannot pile up in memory while an earlier one is still being merged
+const MAX_PENDING_BATCHES = 4;
+
+export class FastqWorkerPool {
+  constructor(extractor, inputs, options = {}) {
+    this.extractor = extractor;
+    this.inputs = inputs;
+    this.batchSize = options.batchSize ?? 1000;
+    this.outputs = inputs.map(() => ({ batches: [], done: false, summary: null, worker: null, notify: null }));
+    this.nextInput = 0;
+    this.workers = [];
+    this.closed = false;
+
+    const size = Math.min(options.workers ?? 1, inputs.length);
+    for (let i = 0; i < size; i++) this.startWorker();
+  }
+
+  startWorker() {
+    const worker = new Worker(new URL('./fastq-worker.js', import.meta.url), {
+      workerData: {
+        options: this.extractor.options,
+        mappingData: this.extractor.mappingData,
+        outputDir: this.extractor.outputDir,
+        batchSize: this.batchSize,
+        maxPendingBatches: MAX_PENDING_BATCHES
+      }
+    });
+    worker.on('message', (message) => this.handleMessage(worker, message));
+    worker.on('error', (error) => this.handleFailure(worker, error));
+    worker.on('exit', (code) => {
+      if (code !== 0) this.handleFailure(worker, new Error(`Worker stopped with exit code ${code}`));
+    });
+    this.workers.push(worker);
+    this.assign(worker);
+  }
+
+  assign(worker) {
+    // Inputs are handed out in order, so the one the main thread waits for is always running
+    if (this.nextInput >= this.inputs.length) {
+      worker.currentIndex = null;
+      return;
+    }
+    const index = this.nextInput++;
+    worker.currentIndex = index;
+    this.outputs[index].worker = worker;
+    worker.postMessage({ type: 'process', index, input: this.inputs[index] });
+  }
+
+  handleMessage(worker, message) {
+    const output = this.outputs[message.index];
+    if (message.type === 'batch') {
+      output.batches.push(message.items);
+    } else {
+      output.done = true;
+      output.summary = message;
+      this.assign(worker);
+    }
+    this.wake(output);
+  }
+
+  handleFailure(worker, error) {
+    if (worker.failed || this.closed) return;
+    worker.failed = true;
+    this.workers = this.workers.filter(other => other !== worker);
+
+    // Only the input the worker was on fails; a replacement carries on with the rest
+    if (worker.currentIndex !== null) {
+      const output = this.outputs[worker.currentIndex];
+      output.done = true;
+      output.summary = { error: error.message, stats: null, logs: [] };
+      this.wake(output);
+    }
+    if (this.nextInput < this.inputs.length) this.startWorker();
+  }
+
+  wake(output) {
+    if (output.notify) {
+      output.notify();
+      output.notify = null;
+    }
+  }
+
+  async *read(index) {
+    const output = this.outputs[index];
+    while (true) {
+      if (output.batches.length > 0) {
+        const items = output.batches.shift();
+        if (!output.done) output.worker.postMessage({ type: 'ack', index });
+        yield* items;
+      } else if (output.done) {
+        break;
+      } else {
+        await new Promise(resolve => { output.notify = resolve; });
+      }
+    }
+
+    const { error, stats, logs } = output.summary;
+    this.outputs[index] = null;
+    logs.forEach(line => console.log(line));
+    if (stats) this.extractor.mergeStageStats(stats);
+    if (error) throw new Error(error);
+  }
+
+  async close() {
+    this.closed = true;
+    await Promise.all(this.workers.map(worker => worker.terminate()));
+    this.workers = [];
+  }
+}
@@ -0,0 +1,59 @@
+import { parentPort, workerData } from 'worker_threads';
+import { format } from 'util';
+import { DataExtractor } from './data-extractor.js';
+
+// Log lines go back with the results, so the main thread prints them in input order
+let logs = [];
+console.log = (...args) => logs.push(format(...args));
+console.error = console.log;
+
+const extractor = new DataExtractor(workerData.options);
+extractor.outputDir = workerData.outputDir;
+extractor.configureFromMapping(workerData.mappingData);
+
+let current = null;
+
+parentPort.on('message', (message) => {
+  if (message.type === 'ack') {
+    if (current?.index === message.index) {
+      current.pending--;
+      current.resume?.();
+    }
+    return;
+  }
+  processInput(message.index, message.input);
+});
+
+async function send(items) {
+  current.pending++;
+  parentPort.postMessage({ type: 'batch', index: current.index, items });
+  while (current.pending >= workerData.maxPendingBatches) {
+    await new Promise(resolve => { current.resume = resolve; });
+    current.resume = null;
+  }
+}
+
+async function processInput(index, input) {
+  current = { index, pending: 0, resume: null };
+  logs = [];
+  extractor.reports = {};
+  extractor.resetStageStats();
+
+  let error = null;
+  let batch = [];
+  try {
+    for await (const item of extractor.inputFeatures(input)) {
+      batch.push(item);
+      if (batch.length >= workerData.batchSize) {
+        await send(batch);
+        batch = [];
+      }
+    }
+  } catch (caught) {
+    error = caught.message;
+  }
+  // Records read before an error are still passed on, as the in-process path does
+  if (batch.length > 0) await send(batch);
+
+  parentPort.postMessage({ type: 'done', index, error, stats: extractor.stageStats(), logs });
+}
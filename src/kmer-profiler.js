@@ -0,0 +1,128 @@
+import { reverseComplement, writeLines } from './sequence-utils.js';
+
+const NORMALIZATIONS = ['raw', 'relative', 'clr'];
+const OUTPUTS = ['per_read', 'per_sample'];
+// Every k-mer becomes a CSV column in per-read mode, 4^6 = 4096 is already a wide table
+const MAX_COLUMN_K = 6;
+
+export class KmerProfiler {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? false;
+    this.k = options.k ?? 4;
+    this.canonical = options.canonical ?? false;
+    this.normalization = options.normalization || 'relative';
+    this.output = options.output || 'per_read';
+    this.pseudocount = options.pseudocount ?? 0.5;
+
+    if (!Number.isInteger(this.k) || this.k < 1 || this.k > 12) {
+      throw new Error(`k-mer size must be an integer between 1 and 12, got ${this.k}`);
+    }
+    if (!NORMALIZATIONS.includes(this.normalization)) {
+      throw new Error(`Unknown k-mer normalisation "${this.normalization}" (expected ${NORMALIZATIONS.join(', ')})`);
+    }
+    if (!OUTPUTS.includes(this.output)) {
+      throw new Error(`Unknown k-mer output "${this.output}" (expected ${OUTPUTS.join(', ')})`);
+    }
+    if (this.enabled && this.k > MAX_COLUMN_K) {
+      throw new Error(`k-mer columns are limited to k <= ${MAX_COLUMN_K}, got ${this.k}`);
+    }
+
+    this.kmerList = null;
+    this.sampleCounts = new Map();
+  }
+
+  allKmers() {
+    if (this.kmerList) return this.kmerList;
+
+    let kmers = [''];
+    for (let i = 0; i < this.k; i++) {
+      kmers = kmers.flatMap(prefix => ['A', 'C', 'G', 'T'].map(base => prefix + base));
+    }
+    if (this.canonical) {
+      kmers = kmers.filter(kmer => kmer <= reverseComplement(kmer));
+    }
+    this.kmerList = kmers;
+    return kmers;
+  }
+
+  canonicalKmer(kmer) {
+    const reverse = reverseComplement(kmer);
+    return reverse < kmer ? reverse : kmer;
+  }
+
+  countKmers(sequence, counts = new Map()) {
+    const upper = sequence.toUpperCase();
+    for (let i = 0; i <= upper.length - this.k; i++) {
+      let kmer = upper.substring(i, i + this.k);
+      if (/[^ACGT]/.test(kmer)) continue;
+      if (this.canonical) kmer = this.canonicalKmer(kmer);
+      counts.set(kmer, (counts.get(kmer) || 0) + 1);
+    }
+    return counts;
+  }
+
+  normalize(counts) {
+    const profile = {};
+
+    if (this.normalization === 'raw') {
+      counts.forEach((count, kmer) => { profile[kmer] = count; });
+      return profile;
+    }
+
+    if (this.normalization === 'relative') {
+      let total = 0;
+      counts.forEach(count => { total += count; });
+      counts.forEach((count, kmer) => { profile[kmer] = +(count / total).toFixed(6); });
+      return profile;
+    }
+
+    // CLR needs every component, so unseen k-mers get the pseudocount too and the profile is dense
+    const kmers = this.allKmers();
+    const logs = kmers.map(kmer => Math.log((counts.get(kmer) || 0) + this.pseudocount));
+    const meanLog = logs.reduce((sum, value) => sum + value, 0) / logs.length;
+    kmers.forEach((kmer, index) => { profile[kmer] = +(logs[index] - meanLog).toFixed(6); });
+    return profile;
+  }
+
+  profileRead(sequence) {
+    return this.normalize(this.countKmers(sequence));
+  }
+
+  addToSample(sampleKey, sequence) {
+    if (!this.sampleCounts.has(sampleKey)) {
+      this.sampleCounts.set(sampleKey, new Map());
+    }
+    this.countKmers(sequence, this.sampleCounts.get(sampleKey));
+  }
+
+  sampleProfiles() {
+    return [...this.sampleCounts.entries()]
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([sample, counts]) => ({ sample, profile: this.normalize(counts) }));
+  }
+
+  columns() {
+    return this.allKmers().map(kmer => `kmer_${kmer}`);
+  }
+
+  toColumns(profile = {}) {
+    const row = {};
+    this.allKmers().forEach(kmer => {
+      row[`kmer_${kmer}`] = profile[kmer] ?? 0;
+    });
+    return row;
+  }
+
+  writeSparse(outputFile, rows) {
+    return writeLines(outputFile, this.sparseLines(rows));
+  }
+
+  *sparseLines(rows) {
+    yield 'sample\tkmer\tvalue';
+    for (const { sample, profile } of rows) {
+      for (const [kmer, value] of Object.entries(profile)) {
+        if (value !== 0) yield `${sample}\t${kmer}\t${value}`;
+      }
+    }
+  }
+}
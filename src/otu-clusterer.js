@@ -0,0 +1,189 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import { finished } from 'stream/promises';
+import { Dereplicator } from './dereplicator.js';
+import { readId, writeChunk, writeLines } from './sequence-utils.js';
+
+// Greedy abundance-sorted clustering in the style of UPARSE/VSEARCH --cluster_size:
+// each unique sequence joins the first centroid within the identity threshold or starts a new OTU
+export class OtuClusterer {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? false;
+    this.identity = options.identity ?? 0.97;
+    this.minSize = options.minSize ?? 1;
+
+    if (!(this.identity > 0 && this.identity <= 1)) {
+      throw new Error(`OTU identity must be between 0 and 1, got ${this.identity}`);
+    }
+    this.reset();
+  }
+
+  reset() {
+    // Uniques and their per-sample counts are the Dereplicator's; read ids go to a spool file
+    // so they can be assigned once the OTUs are known without holding them in memory
+    this.discardSpool();
+    this.uniques = new Dereplicator({ enabled: true });
+    this.otus = null;
+  }
+
+  discardSpool() {
+    this.spool?.destroy();
+    if (this.spoolFile) fs.rmSync(this.spoolFile, { force: true });
+    this.spool = null;
+    this.spoolFile = null;
+  }
+
+  get totalReads() {
+    return this.uniques.totalReads;
+  }
+
+  async add(record, sampleName) {
+    this.uniques.add(record, sampleName);
+    if (!this.spool) {
+      this.spoolFile = path.join(os.tmpdir(), `otu-reads-${process.pid}-${Date.now()}.tsv`);
+      this.spool = fs.createWriteStream(this.spoolFile);
+      this.spoolError = null;
+      this.spool.on('error', (error) => { this.spoolError = error; });
+    }
+    if (this.spoolError) throw this.spoolError;
+    await writeChunk(this.spool, `${readId(record.header)}\t${sampleName}\t${record.sequence.toUpperCase()}\n`);
+  }
+
+  editDistance(a, b, maxEdits) {
+    // Banded Levenshtein distance; anything over maxEdits comes back as Infinity
+    if (Math.abs(a.length - b.length) > maxEdits) return Infinity;
+
+    let previous = new Uint32Array(b.length + 1).fill(maxEdits + 1);
+    let current = new Uint32Array(b.length + 1);
+    for (let j = 0; j <= Math.min(b.length, maxEdits); j++) previous[j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+      current.fill(maxEdits + 1);
+      const start = Math.max(1, i - maxEdits);
+      const end = Math.min(b.length, i + maxEdits);
+      if (i <= maxEdits) current[0] = i;
+      let rowMin = current[0];
+
+      for (let j = start; j <= end; j++) {
+        const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+        const value = Math.min(substitution, previous[j] + 1, current[j - 1] + 1, maxEdits + 1);
+        current[j] = value;
+        if (value < rowMin) rowMin = value;
+      }
+      if (rowMin > maxEdits) return Infinity;
+      [previous, current] = [current, previous];
+    }
+
+    return previous[b.length] > maxEdits ? Infinity : previous[b.length];
+  }
+
+  sequenceIdentity(a, b) {
+    const length = Math.max(a.length, b.length);
+    const maxEdits = Math.floor((1 - this.identity) * length);
+    const distance = this.editDistance(a, b, maxEdits);
+    return distance === Infinity ? 0 : 1 - distance / length;
+  }
+
+  cluster(exclude = null) {
+    // Already sorted by abundance, with the same Uniq ids as dereplicated.fasta;
+    // excluded sequences (discarded chimeras) neither seed nor join an OTU
+    const uniques = this.uniques.uniques()
+      .filter(unique => unique.abundance >= this.minSize && !exclude?.has(unique.sequence));
+    const centroids = [];
+
+    for (const unique of uniques) {
+      let match = null;
+      for (const centroid of centroids) {
+        const identity = this.sequenceIdentity(unique.sequence, centroid.sequence);
+        if (identity >= this.identity) {
+          match = { centroid, identity };
+          break;
+        }
+      }
+
+      if (match) {
+        match.centroid.members.push({ unique, identity: match.identity });
+        match.centroid.abundance += unique.abundance;
+      } else {
+        centroids.push({ id: `OTU${centroids.length + 1}`, sequence: unique.sequence, abundance: unique.abundance, members: [{ unique, identity: 1 }] });
+      }
+    }
+
+    this.otus = centroids.map(centroid => {
+      const samples = new Map();
+      centroid.members.forEach(({ unique }) => {
+        unique.samples.forEach((count, sample) => samples.set(sample, (samples.get(sample) || 0) + count));
+      });
+      return { ...centroid, label: `${centroid.id};size=${centroid.abundance}`, samples };
+    });
+    return this.otus;
+  }
+
+  sampleNames() {
+    return this.uniques.sampleNames();
+  }
+
+  sampleTable() {
+    return this.sampleNames().map(sample => ({
+      sample,
+      counts: Object.fromEntries(this.otus.map(otu => [otu.id, otu.samples.get(sample) || 0]))
+    }));
+  }
+
+  async writeOutputs(outputDir, exclude = null) {
+    const otus = this.cluster(exclude);
+    const samples = this.sampleNames();
+    const fastaFile = path.join(outputDir, 'otus.fasta');
+    const tableFile = path.join(outputDir, 'otu_table.tsv');
+    const assignmentsFile = path.join(outputDir, 'otu_assignments.tsv');
+
+    await writeLines(fastaFile, otus.flatMap(otu => [`>${otu.label}`, otu.sequence]));
+    await writeLines(tableFile, [
+      ['#OTU ID', ...samples].join('\t'),
+      ...otus.map(otu => [otu.id, ...samples.map(sample => otu.samples.get(sample) || 0)].join('\t'))
+    ]);
+
+    try {
+      this.spool.end();
+      await finished(this.spool);
+      await writeLines(assignmentsFile, this.assignmentLines(otus));
+    } finally {
+      this.discardSpool();
+    }
+
+    return { fastaFile, tableFile, assignmentsFile, otus };
+  }
+
+  async *assignmentLines(otus) {
+    // One line per read, in input order; reads whose unique was left out of every OTU
+    // (below minSize or a discarded chimera) keep an empty otu_id
+    const assigned = new Map();
+    otus.forEach(otu => otu.members.forEach(({ unique, identity }) => {
+      assigned.set(unique.sequence, { otu: otu.id, unique: unique.id, identity: (identity * 100).toFixed(2) });
+    }));
+
+    yield 'read_id\tsample\totu_id\tunique_id\tidentity';
+    const lines = readline.createInterface({ input: fs.createReadStream(this.spoolFile), crlfDelay: Infinity });
+    for await (const line of lines) {
+      const [id, sample, sequence] = line.split('\t');
+      const assignment = assigned.get(sequence);
+      yield `${id}\t${sample}\t${assignment?.otu ?? ''}\t${assignment?.unique ?? ''}\t${assignment?.identity ?? ''}`;
+    }
+  }
+
+  getReport(otus) {
+    const clustered = otus.reduce((sum, otu) => sum + otu.abundance, 0);
+    return {
+      settings: { identity: this.identity, min_size: this.minSize },
+      input_reads: this.totalReads,
+      unique_sequences: this.uniques.sequences.size,
+      otus: otus.length,
+      clustered_reads: clustered,
+      excluded_reads: this.totalReads - clustered,
+      singleton_otus: otus.filter(otu => otu.abundance === 1).length,
+      samples: this.uniques.samples.size
+    };
+  }
+}
@@ -0,0 +1,17 @@
+import fs from 'fs';
+
+export const DEFAULT_CONFIG_PATH = './pipeline.config.json';
+
+export function loadPipelineConfig(filePath = DEFAULT_CONFIG_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+
+  try {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    console.log(`⚙️  Loaded pipeline configuration from ${filePath}`);
+    return config;
+  } catch (error) {
+    throw new Error(`Invalid pipeline configuration in ${filePath}: ${error.message}`);
+  }
+}
@@ -0,0 +1,151 @@
+import { reverseComplement, iupacMatches } from './sequence-utils.js';
+
+export class PrimerTrimmer {
+  constructor(mappingData, options = {}) {
+    // Most EMP/Qiita deliveries already have primers removed, so trimming is opt-in
+    this.enabled = options.enabled ?? false;
+    this.maxMismatches = options.maxMismatches ?? 2;
+    this.searchWindow = options.searchWindow ?? 20;
+    this.action = options.action || 'discard';
+    this.trimReverse = options.trimReverse ?? true;
+
+    this.primers = new Map();
+    mappingData.forEach(record => {
+      const primers = this.parsePrimers(record, options);
+      if (primers.forward && record.sample_name) {
+        this.primers.set(record.sample_name, primers);
+      }
+    });
+    this.defaultPrimers = this.parsePrimers(mappingData[0] || {}, options);
+    this.stats = {};
+  }
+
+  get active() {
+    return this.enabled && Boolean(this.defaultPrimers.forward);
+  }
+
+  parsePrimers(record, options = {}) {
+    const pcrPrimers = record.pcr_primers || '';
+    const linker = (options.linker ?? record.linker ?? '').toUpperCase();
+    let forward = options.forwardPrimer || (pcrPrimers.match(/FWD:\s*([A-Z]+)/i) || [])[1] || '';
+    const reverse = options.reversePrimer || (pcrPrimers.match(/REV:\s*([A-Z]+)/i) || [])[1] || '';
+
+    // The mapping's primer column is linker + forward primer when pcr_primers is missing
+    if (!forward && record.primer) {
+      forward = record.primer.toUpperCase().startsWith(linker) ? record.primer.substring(linker.length) : record.primer;
+    }
+
+    return {
+      linker,
+      forward: forward.toUpperCase(),
+      reverse: reverse.toUpperCase(),
+      reverseComplement: reverse ? reverseComplement(reverse.toUpperCase()) : ''
+    };
+  }
+
+  countMismatches(sequence, primer, offset) {
+    let mismatches = 0;
+    for (let i = 0; i < primer.length; i++) {
+      if (!iupacMatches(primer[i], sequence[offset + i])) {
+        mismatches++;
+        if (mismatches > this.maxMismatches) break;
+      }
+    }
+    return mismatches;
+  }
+
+  findPrimer(sequence, primer, start, end) {
+    let best = null;
+    for (let offset = Math.max(0, start); offset <= Math.min(end, sequence.length - primer.length); offset++) {
+      const mismatches = this.countMismatches(sequence, primer, offset);
+      if (mismatches <= this.maxMismatches && (!best || mismatches < best.mismatches)) {
+        best = { offset, mismatches };
+        if (mismatches === 0) break;
+      }
+    }
+    return best;
+  }
+
+  trimRecord(record) {
+    const primers = this.primers.get(record.sample_name) || this.defaultPrimers;
+    const sequence = record.sequence.toUpperCase();
+
+    // Anything before the forward primer (linker, pad, leftover barcode) is cut with it
+    const forwardHit = this.findPrimer(sequence, primers.forward, 0, this.searchWindow + primers.linker.length);
+    let start = 0;
+    let end = sequence.length;
+
+    if (forwardHit) {
+      start = forwardHit.offset + primers.forward.length;
+    }
+
+    let reverseHit = null;
+    if (this.trimReverse && primers.reverseComplement) {
+      const latest = sequence.length - primers.reverseComplement.length;
+      reverseHit = this.findPrimer(sequence, primers.reverseComplement, Math.max(start, latest - this.searchWindow), latest);
+      if (reverseHit) end = reverseHit.offset;
+    }
+
+    return {
+      record: {
+        ...record,
+        sequence: record.sequence.substring(start, end),
+        quality: record.quality.substring(start, end),
+        primer_found: forwardHit ? 1 : 0
+      },
+      forwardFound: Boolean(forwardHit),
+      reverseFound: Boolean(reverseHit),
+      basesRemoved: sequence.length - (end - start)
+    };
+  }
+
+  resetStats() {
+    this.stats = {};
+  }
+
+  sampleStats(sampleName) {
+    const key = sampleName || 'unassigned';
+    if (!this.stats[key]) {
+      this.stats[key] = { reads: 0, forward_trimmed: 0, reverse_trimmed: 0, no_primer: 0, discarded: 0, bases_removed: 0 };
+    }
+    return this.stats[key];
+  }
+
+  async *trimRecords(records) {
+    for await (const record of records) {
+      const result = this.trimRecord(record);
+      const stats = this.sampleStats(record.sample_name);
+      stats.reads++;
+      stats.bases_removed += result.basesRemoved;
+      if (result.forwardFound) stats.forward_trimmed++;
+      if (result.reverseFound) stats.reverse_trimmed++;
+
+      if (!result.forwardFound) {
+        stats.no_primer++;
+        if (this.action === 'discard') {
+          stats.discarded++;
+          continue;
+        }
+      }
+
+      yield result.record;
+    }
+  }
+
+  getReport() {
+    const totals = { reads: 0, forward_trimmed: 0, reverse_trimmed: 0, no_primer: 0, discarded: 0, bases_removed: 0 };
+    Object.values(this.stats).forEach(stats => {
+      Object.keys(totals).forEach(key => { totals[key] += stats[key]; });
+    });
+
+    return {
+      forward_primer: this.defaultPrimers.forward,
+      reverse_primer: this.defaultPrimers.reverse,
+      linker: this.defaultPrimers.linker,
+      max_mismatches: this.maxMismatches,
+      action: this.action,
+      totals,
+      samples: this.stats
+    };
+  }
+}
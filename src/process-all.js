@@ -1,44 +1,35 @@
 import { DataExtractor } from './data-extractor.js';
 import { DataMerger } from './data-merger.js';
 import { MappingParser } from './mapping-parser.js';
+import { loadPipelineConfig } from './pipeline-config.js';
 
 async function processAllData() {
   console.log('🚀 Starting data extraction and merging process...\n');
   
   try {
-    const extractor = new DataExtractor();
-    const merger = new DataMerger();
+    const config = loadPipelineConfig();
+    const extractor = new DataExtractor(config);
+    const merger = new DataMerger(config);
     const mappingParser = new MappingParser();
 
     // Ensure directories exist
     await extractor.ensureDirectories();
 
-    // Step 1: Extract FASTQ data from 7z file
-    console.log('📦 Step 1: Extracting FASTQ.7z...');
-    let extractionSuccessful = false;
+    // Step 1: Extract FASTQ and CSV members from the input archive
+    const archivePath = config.archive?.path || './FASTQ.7z';
+    console.log(`📦 Step 1: Extracting ${archivePath}...`);
     
     try {
-      await extractor.extract7zFile('./FASTQ.7z');
-      extractionSuccessful = true;
+      await extractor.extractArchive(archivePath);
     } catch (error) {
-      console.log('⚠️  7z extraction failed:', error.message);
+      console.log('⚠️  Archive extraction failed:', error.message);
       console.log('🔍 Checking if files are already extracted...');
     }
 
-    // Step 2: Process FASTQ files
-    console.log('\n🧬 Step 2: Processing FASTQ files...');
-    const sequenceData = await extractor.processFastqFiles();
-    
-    if (sequenceData.length === 0) {
-      console.log('\n❌ No FASTQ data found!');
-      console.log('📋 Possible solutions:');
-      console.log('   1. Install 7zip: sudo apt-get install p7zip-full (Linux) or brew install p7zip (Mac)');
-      console.log('   2. Manually extract FASTQ.7z to ./extracted_data/ folder');
-      console.log('   3. Check if FASTQ.7z file is corrupted');
-      console.log('\n⚠️  Continuing with FAOSTAT data only...');
-    } else {
-      console.log(`✅ Processed ${sequenceData.length} sequences`);
-    }
+    // Step 2: FASTQ files are streamed straight into the merge in step 5
+    console.log('\n🧬 Step 2: Locating FASTQ files...');
+    const fastqFiles = extractor.findFastqFiles(extractor.extractedDir);
+    console.log(`✅ Found ${fastqFiles.length} FASTQ files to stream`);
 
     // Step 3: Read FAOSTAT data
     console.log('\n📊 Step 3: Reading FAOSTAT data...');
@@ -49,19 +40,53 @@ async function processAllData() {
     console.log('\n🗺️  Step 4: Parsing mapping file...');
     const mappingData = await mappingParser.parseMappingFile('./mapping_files/2097_mapping_file.txt');
     console.log(`✅ Loaded ${mappingData.length} mapping records`);
+    extractor.configureFromMapping(mappingData);
+
+    // Step 5: Merge all data, streaming sequence features from the FASTQ files
+    console.log('\n🔄 Step 5: Merging datasets...');
+    const summary = await merger.mergeData(extractor.streamFastqFeatures(), faostatData, mappingData);
+
+    if (summary.sequence_records === 0) {
+      console.log('\n❌ No FASTQ data found!');
+      console.log('📋 Possible solutions:');
+      console.log('   1. For .7z archives, install 7-Zip: sudo apt-get install p7zip-full (Linux) or brew install p7zip (Mac)');
+      console.log(`   2. Manually extract ${archivePath} to ./extracted_data/ folder`);
+      console.log('   3. Check archive_extraction in data_summary.json for skipped or corrupted entries');
+      console.log('\n⚠️  Continuing with FAOSTAT data only...');
+    } else {
+      console.log(`✅ Processed ${summary.sequence_records} sequences`);
+    }
+
+    if (extractor.kmerProfiler?.output === 'per_sample' && extractor.kmerProfiler.sampleCounts.size > 0) {
+      const kmerFile = await merger.writeSampleKmerFeatures(extractor.kmerProfiler);
+      console.log(`🧮 Per-sample k-mer features written to: ${kmerFile}`);
+    }
+
+    if (extractor.otuClusterer?.otus) {
+      const otuFile = await merger.writeSampleOtuTable(extractor.otuClusterer, mappingData);
+      console.log(`🧬 Sample × OTU table joined to mapping metadata written to: ${otuFile}`);
+    }
+
+    if (extractor.alphaDiversity?.size > 0) {
+      const alphaFile = await merger.writeSampleAlphaDiversity(extractor.alphaDiversity, mappingData);
+      console.log(`🌱 Per-sample alpha diversity joined to mapping metadata written to: ${alphaFile}`);
+    }
+
+    if (merger.biom && Object.keys(extractor.featureTables).length > 0) {
+      try {
+        await merger.writeBIOM(extractor.featureTables, mappingData, extractor.taxonomyClassifier);
+      } catch (error) {
+        console.log(`⚠️  BIOM export failed: ${error.message}`);
+      }
+    }
 
     // Check if we have any data to process
-    if (sequenceData.length === 0 && faostatData.length === 0) {
+    if (summary.total_records === 0) {
       throw new Error('No data found to process. Please check your input files.');
     }
 
-    // Step 5: Merge all data
-    console.log('\n🔄 Step 5: Merging datasets...');
-    const mergedData = await merger.mergeData(sequenceData, faostatData, mappingData);
-
     // Step 6: Generate summary
     console.log('\n📈 Step 6: Generating summary...');
-    const summary = merger.generateDataSummary(mergedData);
     
     console.log('\n' + '='.repeat(60));
     console.log('📋 DATA PROCESSING SUMMARY');
@@ -79,17 +104,17 @@ async function processAllData() {
     console.log('='.repeat(60));
 
     // Create a detailed summary file
-    await createSummaryFile(summary, mergedData);
+    await createSummaryFile(summary, extractor.reports);
 
     console.log('\n✅ Data processing completed successfully!');
     console.log(`📄 Training data saved to: MODEL_TRAINING_DATA.csv`);
     console.log(`📋 Summary saved to: data_summary.json`);
 
     // Provide extraction guidance if needed
-    if (sequenceData.length === 0) {
+    if (summary.sequence_records === 0) {
       console.log('\n💡 To get FASTQ data in your training set:');
-      console.log('   1. Install 7zip and run the script again');
-      console.log('   2. Or manually extract FASTQ.7z to ./extracted_data/');
+      console.log('   1. Install 7-Zip (for .7z) or point archive.path at a .zip, .tar, .tar.gz or .gz');
+      console.log(`   2. Or manually extract ${archivePath} to ./extracted_data/`);
       console.log('   3. Then run: npm start');
     }
 
@@ -100,32 +125,30 @@ async function processAllData() {
   }
 }
 
-async function createSummaryFile(summary, data) {
+async function createSummaryFile(summary, reports = {}) {
+  const { min_length, max_length, avg_quality, columns, bytes_written, ...totals } = summary;
   const detailedSummary = {
-    ...summary,
+    ...totals,
     processing_timestamp: new Date().toISOString(),
     data_types: {
-      genomic_sequence: data.filter(r => r.data_type === 'genomic_sequence').length,
-      agricultural_statistics: data.filter(r => r.data_type === 'agricultural_statistics').length
+      genomic_sequence: summary.sequence_records,
+      agricultural_statistics: summary.faostat_records
     },
-    sequence_stats: data.length > 0 ? {
-      min_length: Math.min(...data.filter(r => r.sequence_length > 0).map(r => r.sequence_length)) || 0,
-      max_length: Math.max(...data.filter(r => r.sequence_length > 0).map(r => r.sequence_length)) || 0,
-      avg_quality: data.filter(r => r.quality_score_avg > 0).reduce((sum, r) => sum + r.quality_score_avg, 0) / data.filter(r => r.quality_score_avg > 0).length || 0
-    } : {
-      min_length: 0,
-      max_length: 0,
-      avg_quality: 0
+    sequence_stats: {
+      min_length: min_length || 0,
+      max_length: max_length || 0,
+      avg_quality: avg_quality || 0
     },
     file_info: {
       output_file: 'MODEL_TRAINING_DATA.csv',
-      columns: data.length > 0 ? Object.keys(data[0]) : [],
-      estimated_size_mb: (JSON.stringify(data).length / (1024 * 1024)).toFixed(2)
+      columns,
+      estimated_size_mb: (bytes_written / (1024 * 1024)).toFixed(2)
     },
     extraction_status: {
-      fastq_extracted: data.filter(r => r.data_type === 'genomic_sequence').length > 0,
-      faostat_loaded: data.filter(r => r.data_type === 'agricultural_statistics').length > 0
-    }
+      fastq_extracted: summary.sequence_records > 0,
+      faostat_loaded: summary.faostat_records > 0
+    },
+    ...reports
   };
 
   await import('fs').then(fs => {
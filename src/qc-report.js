@@ -0,0 +1,181 @@
+import fs from 'fs';
+import path from 'path';
+
+const MAX_PHRED = 93;
+const BASES = ['A', 'C', 'G', 'T', 'N'];
+const DUPLICATION_BINS = [
+  { label: '1', min: 1, max: 1 },
+  { label: '2', min: 2, max: 2 },
+  { label: '3', min: 3, max: 3 },
+  { label: '4', min: 4, max: 4 },
+  { label: '5', min: 5, max: 5 },
+  { label: '6', min: 6, max: 6 },
+  { label: '7', min: 7, max: 7 },
+  { label: '8', min: 8, max: 8 },
+  { label: '9', min: 9, max: 9 },
+  { label: '>10', min: 10, max: 49 },
+  { label: '>50', min: 50, max: 99 },
+  { label: '>100', min: 100, max: 499 },
+  { label: '>500', min: 500, max: 999 },
+  { label: '>1k', min: 1000, max: 4999 },
+  { label: '>5k', min: 5000, max: 9999 },
+  { label: '>10k', min: 10000, max: Infinity }
+];
+
+// FastQC-style per-file report: qualities are expected in Phred+33, as FastqParser emits them
+export class QcReport {
+  constructor(fileName, options = {}) {
+    this.fileName = fileName;
+    this.maxTrackedSequences = options.maxTrackedSequences ?? 100000;
+    this.overrepresentedThreshold = options.overrepresentedThreshold ?? 0.001;
+    this.encoding = null;
+
+    this.totalReads = 0;
+    this.totalBases = 0;
+    this.qualityHistograms = [];
+    this.baseCounts = [];
+    this.lengthCounts = new Map();
+    this.sequenceCounts = new Map();
+    this.trackedReads = 0;
+  }
+
+  add(record) {
+    const { sequence, quality } = record;
+    this.totalReads++;
+    this.totalBases += sequence.length;
+    this.lengthCounts.set(sequence.length, (this.lengthCounts.get(sequence.length) || 0) + 1);
+
+    for (let i = 0; i < sequence.length; i++) {
+      if (!this.baseCounts[i]) {
+        this.baseCounts[i] = new Uint32Array(BASES.length);
+        this.qualityHistograms[i] = new Uint32Array(MAX_PHRED + 1);
+      }
+      const baseIndex = BASES.indexOf(sequence[i].toUpperCase());
+      this.baseCounts[i][baseIndex === -1 ? 4 : baseIndex]++;
+
+      if (i < quality.length) {
+        const score = Math.max(0, Math.min(MAX_PHRED, quality.charCodeAt(i) - 33));
+        this.qualityHistograms[i][score]++;
+      }
+    }
+
+    this.trackSequence(sequence);
+  }
+
+  trackSequence(sequence) {
+    // Like FastQC, long reads are compared on their first 50 bases and only the first
+    // maxTrackedSequences distinct sequences are followed
+    const key = sequence.length > 75 ? sequence.substring(0, 50) : sequence;
+    if (this.sequenceCounts.has(key)) {
+      this.sequenceCounts.set(key, this.sequenceCounts.get(key) + 1);
+      this.trackedReads++;
+    } else if (this.sequenceCounts.size < this.maxTrackedSequences) {
+      this.sequenceCounts.set(key, 1);
+      this.trackedReads++;
+    }
+  }
+
+  percentile(histogram, total, fraction) {
+    const target = fraction * total;
+    let cumulative = 0;
+    for (let score = 0; score < histogram.length; score++) {
+      cumulative += histogram[score];
+      if (cumulative >= target) return score;
+    }
+    return MAX_PHRED;
+  }
+
+  perPositionQuality() {
+    return this.qualityHistograms.map((histogram, index) => {
+      let total = 0;
+      let sum = 0;
+      histogram.forEach((count, score) => {
+        total += count;
+        sum += count * score;
+      });
+      if (total === 0) return { position: index + 1, count: 0 };
+
+      return {
+        position: index + 1,
+        count: total,
+        mean: +(sum / total).toFixed(2),
+        p10: this.percentile(histogram, total, 0.1),
+        lower_quartile: this.percentile(histogram, total, 0.25),
+        median: this.percentile(histogram, total, 0.5),
+        upper_quartile: this.percentile(histogram, total, 0.75),
+        p90: this.percentile(histogram, total, 0.9)
+      };
+    });
+  }
+
+  perPositionComposition() {
+    return this.baseCounts.map((counts, index) => {
+      const total = counts.reduce((sum, count) => sum + count, 0);
+      const composition = { position: index + 1 };
+      BASES.forEach((base, baseIndex) => {
+        composition[base] = total > 0 ? +((counts[baseIndex] / total) * 100).toFixed(2) : 0;
+      });
+      return composition;
+    });
+  }
+
+  overrepresentedSequences() {
+    const threshold = this.totalReads * this.overrepresentedThreshold;
+    return [...this.sequenceCounts.entries()]
+      .filter(([, count]) => count > threshold && count > 1)
+      .sort((a, b) => b[1] - a[1])
+      .map(([sequence, count]) => ({
+        sequence,
+        count,
+        percentage: +((count / this.totalReads) * 100).toFixed(3)
+      }));
+  }
+
+  duplicationLevels() {
+    const bins = DUPLICATION_BINS.map(bin => ({ level: bin.label, distinct_sequences: 0, reads: 0 }));
+    for (const count of this.sequenceCounts.values()) {
+      const binIndex = DUPLICATION_BINS.findIndex(bin => count >= bin.min && count <= bin.max);
+      bins[binIndex].distinct_sequences++;
+      bins[binIndex].reads += count;
+    }
+
+    return {
+      tracked_reads: this.trackedReads,
+      percent_remaining_if_deduplicated: this.trackedReads > 0
+        ? +((this.sequenceCounts.size / this.trackedReads) * 100).toFixed(2)
+        : 0,
+      levels: bins.map(bin => ({
+        ...bin,
+        percent_of_reads: this.trackedReads > 0 ? +((bin.reads / this.trackedReads) * 100).toFixed(2) : 0
+      }))
+    };
+  }
+
+  toJSON() {
+    const lengths = [...this.lengthCounts.keys()].sort((a, b) => a - b);
+    return {
+      file: this.fileName,
+      encoding: this.encoding,
+      total_reads: this.totalReads,
+      total_bases: this.totalBases,
+      min_length: lengths.length > 0 ? lengths[0] : 0,
+      max_length: lengths.length > 0 ? lengths[lengths.length - 1] : 0,
+      per_position_quality: this.perPositionQuality(),
+      length_distribution: lengths.map(length => ({ length, count: this.lengthCounts.get(length) })),
+      per_position_composition: this.perPositionComposition(),
+      overrepresented_sequences: this.overrepresentedSequences(),
+      duplication_levels: this.duplicationLevels()
+    };
+  }
+
+  write(outputDir) {
+    const reportDir = path.join(outputDir, 'qc_reports');
+    if (!fs.existsSync(reportDir)) {
+      fs.mkdirSync(reportDir, { recursive: true });
+    }
+
+    const outputFile = path.join(reportDir, `${this.fileName.replace(/\.(fastq|fq)(\.\w+)?$/i, '')}.qc.json`);
+    fs.writeFileSync(outputFile, JSON.stringify(this.toJSON(), null, 2));
+    return outputFile;
+  }
+}
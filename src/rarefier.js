@@ -0,0 +1,138 @@
+import fs from 'fs';
+import path from 'path';
+import { createRandom } from './sequence-utils.js';
+
+export class Rarefier {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? false;
+    this.table = options.table || 'auto';
+    // null only draws the curves, so a depth can be chosen from them first
+    this.depth = options.depth ?? null;
+    this.seed = options.seed ?? 42;
+    this.curveSteps = options.curveSteps ?? 20;
+    this.curveIterations = options.curveIterations ?? 10;
+
+    if (this.depth !== null && (!Number.isInteger(this.depth) || this.depth < 1)) {
+      throw new Error(`Rarefaction depth must be a positive integer, got ${this.depth}`);
+    }
+  }
+
+  expandReads(counts) {
+    const reads = new Uint32Array(counts.reduce((sum, count) => sum + count, 0));
+    let offset = 0;
+    counts.forEach((count, feature) => {
+      reads.fill(feature, offset, offset + count);
+      offset += count;
+    });
+    return reads;
+  }
+
+  subsample(reads, featureCount, depth, random) {
+    // Draws `depth` reads without replacement via a partial Fisher-Yates shuffle; the array stays
+    // a permutation of the same reads, so it can be reused for the next draw
+    const rarefied = new Array(featureCount).fill(0);
+    for (let i = 0; i < depth; i++) {
+      const j = i + Math.floor(random() * (reads.length - i));
+      [reads[i], reads[j]] = [reads[j], reads[i]];
+      rarefied[reads[i]]++;
+    }
+    return rarefied;
+  }
+
+  curve(counts, random) {
+    const reads = this.expandReads(counts);
+    const total = reads.length;
+    const steps = Math.min(this.curveSteps, total);
+    const points = [];
+
+    for (let step = 1; step <= steps; step++) {
+      const depth = Math.round((total * step) / steps);
+      const observed = [];
+      // At full depth every draw is the sample itself
+      const iterations = depth === total ? 1 : this.curveIterations;
+      for (let i = 0; i < iterations; i++) {
+        observed.push(this.subsample(reads, counts.length, depth, random).filter(count => count > 0).length);
+      }
+      const mean = observed.reduce((sum, value) => sum + value, 0) / observed.length;
+      const variance = observed.reduce((sum, value) => sum + (value - mean) ** 2, 0) / observed.length;
+      points.push({ depth, observed_features: +mean.toFixed(2), sd: +Math.sqrt(variance).toFixed(2) });
+    }
+    return points;
+  }
+
+  rarefy(features, sampleCounts) {
+    const random = createRandom(this.seed);
+    const depths = new Map([...sampleCounts.entries()].map(([sample, counts]) => [sample, counts.reduce((sum, count) => sum + count, 0)]));
+
+    const curves = new Map();
+    sampleCounts.forEach((counts, sample) => curves.set(sample, this.curve(counts, random)));
+
+    if (this.depth === null) {
+      return { depths, curves, features: null, kept: [], dropped: [] };
+    }
+
+    const kept = [];
+    const dropped = [];
+    const rarefiedSamples = new Map();
+    sampleCounts.forEach((counts, sample) => {
+      if (depths.get(sample) < this.depth) {
+        dropped.push({ sample, reads: depths.get(sample) });
+        return;
+      }
+      kept.push(sample);
+      rarefiedSamples.set(sample, this.subsample(this.expandReads(counts), counts.length, this.depth, random));
+    });
+
+    // Same feature rows as the source table, minus samples below the depth and features left empty
+    const rarefied = features.map((feature, index) => {
+      const samples = new Map();
+      rarefiedSamples.forEach((counts, sample) => {
+        if (counts[index] > 0) samples.set(sample, counts[index]);
+      });
+      const abundance = [...samples.values()].reduce((sum, count) => sum + count, 0);
+      return { ...feature, abundance, samples };
+    }).filter(feature => feature.abundance > 0);
+
+    return { depths, curves, features: rarefied, kept, dropped };
+  }
+
+  write(outputDir, result) {
+    const rarefactionDir = path.join(outputDir, 'rarefaction');
+    if (!fs.existsSync(rarefactionDir)) {
+      fs.mkdirSync(rarefactionDir, { recursive: true });
+    }
+
+    const curveLines = ['sample\tdepth\tobserved_features\tsd'];
+    result.curves.forEach((points, sample) => {
+      points.forEach(point => curveLines.push([sample, point.depth, point.observed_features, point.sd].join('\t')));
+    });
+    const curveFile = path.join(rarefactionDir, 'rarefaction_curves.tsv');
+    fs.writeFileSync(curveFile, curveLines.join('\n') + '\n');
+
+    let tableFile = null;
+    if (result.features) {
+      tableFile = path.join(rarefactionDir, 'rarefied_table.tsv');
+      const lines = [['#OTU ID', ...result.kept].join('\t')];
+      result.features.forEach(feature => lines.push([feature.id, ...result.kept.map(sample => feature.samples.get(sample) || 0)].join('\t')));
+      fs.writeFileSync(tableFile, lines.join('\n') + '\n');
+    }
+
+    return { curveFile, tableFile };
+  }
+
+  getReport(result) {
+    const depths = [...result.depths.values()].sort((a, b) => a - b);
+    return {
+      depth: this.depth,
+      seed: this.seed,
+      sample_depths: {
+        min: depths[0] ?? 0,
+        median: depths.length > 0 ? depths[Math.floor((depths.length - 1) / 2)] : 0,
+        max: depths[depths.length - 1] ?? 0
+      },
+      samples_kept: result.kept.length,
+      samples_dropped: result.dropped,
+      features_kept: result.features ? result.features.length : null
+    };
+  }
+}
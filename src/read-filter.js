@@ -0,0 +1,136 @@
+import { phredScores } from './sequence-utils.js';
+
+export class ReadFilter {
+  constructor(options = {}) {
+    // Off unless asked for, so existing runs keep every read in MODEL_TRAINING_DATA.csv
+    this.enabled = options.enabled ?? false;
+    this.slidingWindow = options.slidingWindow ?? null;
+    // null switches a rule off
+    this.truncQ = options.truncQ === undefined ? 2 : options.truncQ;
+    this.truncLength = options.truncLength ?? 0;
+    this.minLength = options.minLength ?? 50;
+    this.maxN = options.maxN === undefined ? 0 : options.maxN;
+    this.maxEE = options.maxEE === undefined ? 2 : options.maxEE;
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = {
+      input_reads: 0,
+      passed: 0,
+      trimmed: { sliding_window: 0, trunc_q: 0, trunc_length: 0 },
+      removed: { trunc_length: 0, min_length: 0, max_n: 0, max_ee: 0 }
+    };
+  }
+
+  slidingWindowEnd(scores) {
+    const { size = 4, minQuality = 20 } = this.slidingWindow;
+    if (scores.length < size) return scores.length;
+
+    let windowSum = 0;
+    for (let i = 0; i < size; i++) windowSum += scores[i];
+
+    for (let start = 0; start + size <= scores.length; start++) {
+      if (start > 0) windowSum += scores[start + size - 1] - scores[start - 1];
+      if (windowSum / size < minQuality) return start;
+    }
+    return scores.length;
+  }
+
+  truncQEnd(scores) {
+    const index = scores.findIndex(score => score <= this.truncQ);
+    return index === -1 ? scores.length : index;
+  }
+
+  expectedErrors(scores) {
+    return scores.reduce((sum, score) => sum + Math.pow(10, -score / 10), 0);
+  }
+
+  filterRecord(record) {
+    // FASTA reads have no qualities, so only the length and N rules apply to them
+    const hasQuality = record.quality.length > 0;
+    const scores = phredScores(record.quality);
+    let end = hasQuality ? scores.length : record.sequence.length;
+    const trimmedBy = [];
+
+    if (this.slidingWindow && hasQuality) {
+      const windowEnd = this.slidingWindowEnd(scores);
+      if (windowEnd < end) {
+        end = windowEnd;
+        trimmedBy.push('sliding_window');
+      }
+    }
+
+    if (this.truncQ !== null && this.truncQ > 0 && hasQuality) {
+      const qualityEnd = this.truncQEnd(scores.slice(0, end));
+      if (qualityEnd < end) {
+        end = qualityEnd;
+        trimmedBy.push('trunc_q');
+      }
+    }
+
+    // Fixed-length truncation drops reads that are too short, so all survivors line up
+    if (this.truncLength > 0) {
+      if (end < this.truncLength) return { removedBy: 'trunc_length', trimmedBy };
+      if (end > this.truncLength) {
+        end = this.truncLength;
+        trimmedBy.push('trunc_length');
+      }
+    }
+
+    const sequence = record.sequence.substring(0, end);
+    const keptScores = scores.slice(0, end);
+
+    if (sequence.length < this.minLength) return { removedBy: 'min_length', trimmedBy };
+
+    const nCount = (sequence.match(/N/gi) || []).length;
+    if (this.maxN !== null && nCount > this.maxN) return { removedBy: 'max_n', trimmedBy };
+
+    const expectedErrors = this.expectedErrors(keptScores);
+    if (this.maxEE !== null && hasQuality && expectedErrors > this.maxEE) return { removedBy: 'max_ee', trimmedBy };
+
+    return {
+      record: {
+        ...record,
+        sequence,
+        quality: record.quality.substring(0, end),
+        expected_errors: hasQuality ? +expectedErrors.toFixed(4) : null
+      },
+      trimmedBy
+    };
+  }
+
+  async *filterRecords(records) {
+    for await (const record of records) {
+      const result = this.filterRecord(record);
+      this.stats.input_reads++;
+      result.trimmedBy.forEach(rule => { this.stats.trimmed[rule]++; });
+
+      if (result.removedBy) {
+        this.stats.removed[result.removedBy]++;
+        continue;
+      }
+
+      this.stats.passed++;
+      yield result.record;
+    }
+  }
+
+  getReport() {
+    return {
+      settings: {
+        sliding_window: this.slidingWindow,
+        trunc_q: this.truncQ,
+        trunc_length: this.truncLength,
+        min_length: this.minLength,
+        max_n: this.maxN,
+        max_ee: this.maxEE
+      },
+      input_reads: this.stats.input_reads,
+      passed: this.stats.passed,
+      pass_rate: this.stats.input_reads > 0 ? +(this.stats.passed / this.stats.input_reads).toFixed(4) : 0,
+      reads_trimmed: { ...this.stats.trimmed },
+      reads_removed: { ...this.stats.removed }
+    };
+  }
+}
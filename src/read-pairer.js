@@ -0,0 +1,187 @@
+import path from 'path';
+import { reverseComplement, reverseString, phredScores, phredChar, readId } from './sequence-utils.js';
+
+// Mate markers in common Illumina and SRA file names, e.g. _R1_001, _R1., .R1., _1.fastq
+const MATE_PATTERN = /([._])(R?)([12])((?:_\d{3})?\.(?:fastq|fq)(?:\.\w+)?)$/i;
+
+export class ReadPairer {
+  constructor(options = {}) {
+    this.minOverlap = options.minOverlap ?? 20;
+    this.maxMismatches = options.maxMismatches ?? 5;
+    this.maxMismatchRate = options.maxMismatchRate ?? 0.1;
+    this.keepUnmerged = options.keepUnmerged ?? false;
+  }
+
+  pairFiles(files) {
+    const groups = new Map();
+    const singles = [];
+
+    for (const file of files) {
+      const match = path.basename(file).match(MATE_PATTERN);
+      if (!match) {
+        singles.push(file);
+        continue;
+      }
+      const key = path.join(path.dirname(file), path.basename(file).replace(MATE_PATTERN, `$1$2#$4`));
+      const group = groups.get(key) || {};
+      group[`r${match[3]}`] = file;
+      groups.set(key, group);
+    }
+
+    const pairs = [];
+    for (const [key, group] of groups.entries()) {
+      if (group.r1 && group.r2) {
+        pairs.push({ key, r1: group.r1, r2: group.r2 });
+      } else {
+        singles.push(group.r1 || group.r2);
+      }
+    }
+
+    return { pairs, singles };
+  }
+
+  async *pairRecords(r1Records, r2Records) {
+    let pairIndex = 0;
+
+    try {
+      while (true) {
+        const [r1, r2] = await Promise.all([r1Records.next(), r2Records.next()]);
+        if (r1.done && r2.done) return;
+        if (r1.done || r2.done) {
+          throw new Error(`R1 and R2 have different read counts (stopped after ${pairIndex} pairs)`);
+        }
+
+        const r1Id = readId(r1.value.header);
+        const r2Id = readId(r2.value.header);
+        if (r1Id !== r2Id) {
+          throw new Error(`Read headers out of sync at pair ${pairIndex + 1}: ${r1Id} vs ${r2Id}`);
+        }
+
+        pairIndex++;
+        yield [r1.value, r2.value];
+      }
+    } finally {
+      // Close both files when pairing stops early
+      await Promise.all([r1Records.return?.(), r2Records.return?.()]);
+    }
+  }
+
+  findOverlap(forward, reverse) {
+    let best = null;
+
+    // offset is where the reverse-complemented mate starts on the forward read. Usually it starts
+    // inside it; a negative offset is a staggered pair whose amplicon is shorter than the reads,
+    // so each read runs past the other's start into adapter
+    const offsets = [];
+    for (let offset = 0; offset <= forward.length - this.minOverlap; offset++) offsets.push(offset);
+    for (let offset = -1; offset >= this.minOverlap - reverse.length; offset--) offsets.push(offset);
+
+    for (const offset of offsets) {
+      const forwardStart = Math.max(0, offset);
+      const reverseStart = Math.max(0, -offset);
+      const overlap = Math.min(forward.length, offset + reverse.length) - forwardStart;
+      if (overlap < this.minOverlap) continue;
+
+      let mismatches = 0;
+      for (let i = 0; i < overlap; i++) {
+        if (forward[forwardStart + i] !== reverse[reverseStart + i]) {
+          mismatches++;
+          if (mismatches > this.maxMismatches) break;
+        }
+      }
+
+      if (mismatches > this.maxMismatches || mismatches / overlap > this.maxMismatchRate) continue;
+
+      const score = overlap - 2 * mismatches;
+      if (!best || score > best.score) {
+        best = { offset, overlap, mismatches, score };
+      }
+    }
+
+    return best;
+  }
+
+  mergePair(r1, r2) {
+    const reverse = reverseComplement(r2.sequence);
+    const reverseQuality = reverseString(r2.quality);
+    const hit = this.findOverlap(r1.sequence, reverse);
+    if (!hit) return null;
+
+    // The amplicon runs from the start of R1 to the start of R2; overhangs past either are adapter
+    const forwardStart = Math.max(0, hit.offset);
+    const reverseStart = Math.max(0, -hit.offset);
+    const forwardScores = phredScores(r1.quality);
+    const reverseScores = phredScores(reverseQuality);
+    let overlapSequence = '';
+    let overlapQuality = '';
+
+    for (let i = 0; i < hit.overlap; i++) {
+      const forwardBase = r1.sequence[forwardStart + i];
+      const reverseBase = reverse[reverseStart + i];
+      const forwardScore = forwardScores[forwardStart + i] ?? 0;
+      const reverseScore = reverseScores[reverseStart + i] ?? 0;
+
+      if (forwardBase === reverseBase) {
+        // Agreeing mates raise confidence, capped at Illumina's usual ceiling
+        overlapSequence += forwardBase;
+        overlapQuality += phredChar(Math.min(41, Math.max(forwardScore, reverseScore) + 3));
+      } else if (forwardScore >= reverseScore) {
+        overlapSequence += forwardBase;
+        overlapQuality += phredChar(Math.max(2, forwardScore - reverseScore));
+      } else {
+        overlapSequence += reverseBase;
+        overlapQuality += phredChar(Math.max(2, reverseScore - forwardScore));
+      }
+    }
+
+    const tail = reverseStart + hit.overlap;
+    return {
+      ...r1,
+      sequence: r1.sequence.substring(0, forwardStart) + overlapSequence + reverse.substring(tail),
+      plus: '+',
+      quality: r1.quality.substring(0, forwardStart) + overlapQuality + reverseQuality.substring(tail),
+      merged: true,
+      overlap_length: hit.overlap,
+      overlap_mismatches: hit.mismatches
+    };
+  }
+
+  mergeRecords(r1Records, r2Records, stats = this.createStats()) {
+    return this.mergePairs(this.pairRecords(r1Records, r2Records), stats);
+  }
+
+  async *mergePairs(pairs, stats = this.createStats()) {
+    for await (const [r1, r2] of pairs) {
+      stats.pairs++;
+      const merged = this.mergePair(r1, r2);
+
+      if (merged) {
+        stats.merged++;
+        stats.overlap_total += merged.overlap_length;
+        stats.mismatches += merged.overlap_mismatches;
+        yield merged;
+      } else {
+        stats.unmerged++;
+        if (this.keepUnmerged) {
+          yield { ...r1, merged: false, overlap_length: 0, overlap_mismatches: 0 };
+        }
+      }
+    }
+  }
+
+  createStats() {
+    return { pairs: 0, merged: 0, unmerged: 0, overlap_total: 0, mismatches: 0 };
+  }
+
+  summarizeStats(stats) {
+    return {
+      pairs: stats.pairs,
+      merged: stats.merged,
+      unmerged: stats.unmerged,
+      merge_rate: stats.pairs > 0 ? +(stats.merged / stats.pairs).toFixed(4) : 0,
+      avg_overlap_length: stats.merged > 0 ? +(stats.overlap_total / stats.merged).toFixed(2) : 0,
+      total_mismatches: stats.mismatches,
+      mismatches_per_merged_pair: stats.merged > 0 ? +(stats.mismatches / stats.merged).toFixed(3) : 0
+    };
+  }
+}
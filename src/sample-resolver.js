@@ -0,0 +1,119 @@
+import fs from 'fs';
+import path from 'path';
+
+// Illumina bcl2fastq names: {name}_S{n}_L{lane}_{R|I}{1|2}_001.fastq.gz; shorter _R1, .1 and lane-less forms too
+const EXTENSION_PATTERN = /\.(?:fastq|fq|fasta|fa|fna)(?:\.\w+)?$/i;
+const SEGMENT_PATTERN = /[._](?:R?[12]|I[12])(?:_\d{3})?$/i;
+const LANE_PATTERN = /_L\d{3}$/;
+const SAMPLE_NUMBER_PATTERN = /_S\d+$/;
+
+export const RESOLUTION_STATUSES = ['sample', 'run', 'ambiguous', 'unmatched'];
+
+export class SampleResolver {
+  constructor(mappingData, options = {}) {
+    this.active = (options.enabled ?? true) && mappingData.some(record => record.sample_name);
+    this.sampleKeys = new Map();
+    this.runPrefixes = new Map();
+    this.cache = new Map();
+
+    mappingData.forEach(record => {
+      if (!record.sample_name) return;
+      // Qiita prep downloads may prefix the sample name with the prep id
+      const keys = [record.sample_name];
+      if (record.qiita_prep_id) keys.push(`${record.qiita_prep_id}_${record.sample_name}`);
+      keys.forEach(key => this.addKey(this.sampleKeys, key, record.sample_name));
+      if (record.run_prefix) this.addKey(this.runPrefixes, record.run_prefix, record.sample_name);
+    });
+  }
+
+  normalize(name) {
+    // Sample names use dots that file names often turn into underscores or dashes
+    return name.toLowerCase().replace(/[._-]+/g, '_');
+  }
+
+  addKey(map, key, sampleName) {
+    const normalized = this.normalize(key);
+    if (!map.has(normalized)) map.set(normalized, new Map());
+    map.get(normalized).set(sampleName, key);
+  }
+
+  fileStems(fileName) {
+    // Most specific first: the full name, then without the read segment, lane and sample number
+    const stems = [fileName.replace(EXTENSION_PATTERN, '')];
+    [SEGMENT_PATTERN, LANE_PATTERN, SAMPLE_NUMBER_PATTERN].forEach(pattern => {
+      const stem = stems[stems.length - 1].replace(pattern, '');
+      if (stem && stem !== stems[stems.length - 1]) stems.push(stem);
+    });
+    return stems;
+  }
+
+  lookup(map, stem) {
+    const matches = map.get(this.normalize(stem));
+    if (!matches) return [];
+    // An exact spelling wins over names that only collide once normalized
+    const exact = [...matches.entries()].filter(([, key]) => key === stem).map(([sampleName]) => sampleName);
+    return exact.length === 1 ? exact : [...matches.keys()];
+  }
+
+  resolve(filePath) {
+    const fileName = path.basename(filePath);
+    if (this.cache.has(fileName)) return this.cache.get(fileName);
+
+    let resolution = { file: fileName, status: 'unmatched', sample_name: null, matched_by: null, stem: null, candidates: [] };
+    for (const stem of this.fileStems(fileName)) {
+      const samples = this.lookup(this.sampleKeys, stem);
+      if (samples.length > 0) {
+        resolution = {
+          file: fileName,
+          status: samples.length === 1 ? 'sample' : 'ambiguous',
+          sample_name: samples.length === 1 ? samples[0] : null,
+          matched_by: 'sample_name',
+          stem,
+          candidates: samples
+        };
+        break;
+      }
+
+      // A run_prefix shared by several samples names a multiplexed run that still has to be demultiplexed
+      const runSamples = this.lookup(this.runPrefixes, stem);
+      if (runSamples.length > 0) {
+        resolution = {
+          file: fileName,
+          status: runSamples.length === 1 ? 'sample' : 'run',
+          sample_name: runSamples.length === 1 ? runSamples[0] : null,
+          matched_by: 'run_prefix',
+          stem,
+          candidates: runSamples
+        };
+        break;
+      }
+    }
+
+    this.cache.set(fileName, resolution);
+    return resolution;
+  }
+
+  getReport(resolutions) {
+    const counts = Object.fromEntries(RESOLUTION_STATUSES.map(status => [status, 0]));
+    resolutions.forEach(resolution => counts[resolution.status]++);
+    return {
+      files: resolutions.length,
+      ...counts,
+      ambiguous_files: resolutions.filter(resolution => resolution.status === 'ambiguous')
+        .map(({ file, stem, candidates }) => ({ file, stem, candidates })),
+      unmatched_files: resolutions.filter(resolution => resolution.status === 'unmatched').map(({ file }) => file)
+    };
+  }
+
+  write(outputDir, resolutions) {
+    const outputFile = path.join(outputDir, 'sample_resolution.tsv');
+    const lines = ['file\tstatus\tsample_name\tmatched_by\tstem\tcandidates'];
+    resolutions.forEach(({ file, status, sample_name, matched_by, stem, candidates }) => {
+      // A run lists every sample on it, which is the whole mapping file for a single run
+      const candidateList = status === 'run' ? `${candidates.length} samples` : candidates.join(',');
+      lines.push([file, status, sample_name || '', matched_by || '', stem || '', candidateList].join('\t'));
+    });
+    fs.writeFileSync(outputFile, lines.join('\n') + '\n');
+    return outputFile;
+  }
+}
@@ -0,0 +1,111 @@
+import fs from 'fs';
+import path from 'path';
+import { readId, writeChunk } from './sequence-utils.js';
+
+const FORMATS = ['fasta', 'fastq'];
+const STAGES = ['reads', 'uniques', 'asvs'];
+const HEADER_STYLES = ['qiime', 'usearch'];
+
+export class SequenceExporter {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? false;
+    this.format = options.format || 'fasta';
+    this.stage = options.stage || 'reads';
+    this.headerStyle = options.headerStyle || 'qiime';
+    this.lineWidth = options.lineWidth ?? 0;
+    this.outputFile = options.outputFile || null;
+
+    if (!FORMATS.includes(this.format)) {
+      throw new Error(`Unknown sequence export format "${this.format}" (expected ${FORMATS.join(', ')})`);
+    }
+    if (!STAGES.includes(this.stage)) {
+      throw new Error(`Unknown sequence export stage "${this.stage}" (expected ${STAGES.join(', ')})`);
+    }
+    if (!HEADER_STYLES.includes(this.headerStyle)) {
+      throw new Error(`Unknown sequence export header style "${this.headerStyle}" (expected ${HEADER_STYLES.join(', ')})`);
+    }
+    if (this.format === 'fastq' && this.stage !== 'reads') {
+      throw new Error(`${this.stage} have no per-base qualities; export them as fasta`);
+    }
+    this.stream = null;
+  }
+
+  open(outputDir) {
+    this.file = this.outputFile || path.join(outputDir, `sequences_${this.stage}.${this.format}`);
+    this.stream = fs.createWriteStream(this.file);
+    this.streamError = null;
+    this.stream.on('error', (error) => { this.streamError = error; });
+    this.sampleCounts = new Map();
+    this.written = 0;
+    this.skipped = 0;
+  }
+
+  header(sampleName, id, size = null) {
+    // QIIME 1 split_libraries labels (>Sample_1 id) or USEARCH/VSEARCH annotations (>id;sample=Sample;)
+    if (this.headerStyle === 'usearch') {
+      return `${id};sample=${sampleName};${size !== null ? `size=${size};` : ''}`;
+    }
+    const index = (this.sampleCounts.get(sampleName) || 0) + 1;
+    this.sampleCounts.set(sampleName, index);
+    return `${sampleName}_${index} ${id}${size !== null ? ` size=${size}` : ''}`;
+  }
+
+  wrap(sequence) {
+    if (!this.lineWidth || sequence.length <= this.lineWidth) return sequence;
+    const lines = [];
+    for (let i = 0; i < sequence.length; i += this.lineWidth) lines.push(sequence.substring(i, i + this.lineWidth));
+    return lines.join('\n');
+  }
+
+  writeText(text) {
+    if (this.streamError) return Promise.reject(this.streamError);
+    return writeChunk(this.stream, text);
+  }
+
+  async writeRecord(record, sampleName) {
+    // Reads parsed from FASTA have no qualities to write as FASTQ
+    if (this.format === 'fastq' && !record.quality) {
+      this.skipped++;
+      return;
+    }
+    const header = this.header(sampleName, readId(record.header));
+    this.written++;
+    if (this.format === 'fastq') {
+      await this.writeText(`@${header}\n${record.sequence}\n+\n${record.quality}\n`);
+    } else {
+      await this.writeText(`>${header}\n${this.wrap(record.sequence)}\n`);
+    }
+  }
+
+  async writeFeatures(features) {
+    // One record per feature and sample, so sample labels survive in tools that count by header
+    for (const feature of features) {
+      for (const [sampleName, count] of [...feature.samples.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+        this.written++;
+        await this.writeText(`>${this.header(sampleName, feature.id, count)}\n${this.wrap(feature.sequence)}\n`);
+      }
+    }
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      if (this.streamError) {
+        reject(this.streamError);
+        return;
+      }
+      this.stream.once('error', reject);
+      this.stream.end(resolve);
+    });
+  }
+
+  getReport() {
+    return {
+      format: this.format,
+      stage: this.stage,
+      header_style: this.headerStyle,
+      records_written: this.written,
+      skipped_without_quality: this.skipped,
+      output_file: this.file
+    };
+  }
+}
@@ -0,0 +1,83 @@
+import fs from 'fs';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+
+const COMPLEMENT = {
+  A: 'T', T: 'A', G: 'C', C: 'G', U: 'A', N: 'N',
+  R: 'Y', Y: 'R', S: 'S', W: 'W', K: 'M', M: 'K',
+  B: 'V', V: 'B', D: 'H', H: 'D'
+};
+
+export function reverseComplement(sequence) {
+  let result = '';
+  for (let i = sequence.length - 1; i >= 0; i--) {
+    const base = sequence[i].toUpperCase();
+    result += COMPLEMENT[base] || 'N';
+  }
+  return result;
+}
+
+export function reverseString(value) {
+  return value.split('').reverse().join('');
+}
+
+export function phredScores(qualityString, offset = 33) {
+  const scores = new Array(qualityString.length);
+  for (let i = 0; i < qualityString.length; i++) {
+    scores[i] = qualityString.charCodeAt(i) - offset;
+  }
+  return scores;
+}
+
+export function phredChar(score, offset = 33) {
+  return String.fromCharCode(Math.max(0, Math.min(score, 93 - (offset - 33))) + offset);
+}
+
+export function readId(header) {
+  // Illumina 1.8+ keeps the mate number after a space, older files append /1 or /2
+  return header.split(/\s+/)[0].replace(/\/[12]$/, '');
+}
+
+const IUPAC_CODES = {
+  A: 'A', C: 'C', G: 'G', T: 'T', U: 'T',
+  R: 'AG', Y: 'CT', S: 'CG', W: 'AT', K: 'GT', M: 'AC',
+  B: 'CGT', D: 'AGT', H: 'ACT', V: 'ACG', N: 'ACGT'
+};
+
+export function iupacMatches(code, base) {
+  const allowed = IUPAC_CODES[code];
+  return allowed !== undefined && allowed.includes(base);
+}
+
+// Small seeded PRNG (mulberry32) for reproducible bootstraps, permutations and subsampling
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Writes to a file stream and waits for 'drain' when its buffer is full; events.once
+// removes its error listener again, so long runs do not pile up listeners
+export function writeChunk(stream, chunk) {
+  return stream.write(chunk) ? Promise.resolve() : once(stream, 'drain');
+}
+
+// Streams lines (an array or any sync or async iterable) to a file, one per line
+export async function writeLines(outputFile, lines) {
+  const stream = fs.createWriteStream(outputFile);
+  const closed = finished(stream);
+  try {
+    for await (const line of lines) await writeChunk(stream, line + '\n');
+  } catch (error) {
+    stream.destroy();
+    closed.catch(() => {});
+    throw error;
+  }
+  stream.end();
+  await closed;
+}
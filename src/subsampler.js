@@ -0,0 +1,120 @@
+import { createRandom } from './sequence-utils.js';
+
+const PER = ['file', 'sample'];
+
+export class Subsampler {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? false;
+    this.count = options.count ?? null;
+    this.fraction = options.fraction ?? null;
+    this.per = options.per || 'file';
+    this.seed = options.seed ?? 42;
+
+    if (!PER.includes(this.per)) {
+      throw new Error(`Unknown subsampling unit "${this.per}" (expected ${PER.join(', ')})`);
+    }
+    if (!this.enabled) return;
+    if ((this.count === null) === (this.fraction === null)) {
+      throw new Error('Subsampling needs exactly one of count and fraction');
+    }
+    if (this.count !== null && (!Number.isInteger(this.count) || this.count < 1)) {
+      throw new Error(`Subsampling count must be a positive integer, got ${this.count}`);
+    }
+    if (this.fraction !== null && !(this.fraction > 0 && this.fraction <= 1)) {
+      throw new Error(`Subsampling fraction must be in (0, 1], got ${this.fraction}`);
+    }
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = {};
+    this.sampleInputs = new Map();
+  }
+
+  // A per-sample quota is drawn within one input, so a sample spread over several inputs
+  // would keep `count` reads from each of them; such runs are rejected instead
+  claimSample(sampleName, inputName) {
+    if (this.per !== 'sample' || this.count === null) return;
+    const owner = this.sampleInputs.get(sampleName);
+    if (owner === undefined) {
+      this.sampleInputs.set(sampleName, inputName);
+    } else if (owner !== inputName) {
+      throw new Error(`Sample "${sampleName}" is in both ${owner} and ${inputName}; subsampling per sample needs each sample in one input, use per: "file" instead`);
+    }
+  }
+
+  // Items are reads, or [R1, R2] tuples so both mates are kept or dropped together.
+  // Each input, and with per: "sample" each sample within it, draws from its own seed,
+  // so its subset does not depend on the other files or samples and inputs of equal
+  // length do not keep the same read positions.
+  async *sample(items, inputName, sampleOf = item => item.sample_name) {
+    const stats = { reads_seen: 0, reads_kept: 0 };
+    this.stats[inputName] = stats;
+    const keyOf = item => (this.per === 'sample' ? (sampleOf(item) || inputName) : inputName);
+    const randoms = new Map();
+    const randomFor = (key) => {
+      if (!randoms.has(key)) {
+        const seed = inputSeed(this.seed, inputName);
+        randoms.set(key, createRandom(key === inputName ? seed : inputSeed(seed, key)));
+      }
+      return randoms.get(key);
+    };
+
+    if (this.fraction !== null) {
+      for await (const item of items) {
+        stats.reads_seen++;
+        if (randomFor(keyOf(item))() < this.fraction) {
+          stats.reads_kept++;
+          yield item;
+        }
+      }
+      if (this.per === 'sample') stats.samples = randoms.size;
+      return;
+    }
+
+    // Reservoir sampling (Vitter's algorithm R), one reservoir per file or per sample
+    const reservoirs = new Map();
+    for await (const item of items) {
+      const key = keyOf(item);
+      if (!reservoirs.has(key)) reservoirs.set(key, { seen: 0, kept: [], random: randomFor(key) });
+      const reservoir = reservoirs.get(key);
+      const entry = { index: stats.reads_seen++, item };
+
+      if (reservoir.kept.length < this.count) {
+        reservoir.kept.push(entry);
+      } else {
+        const slot = Math.floor(reservoir.random() * (reservoir.seen + 1));
+        if (slot < this.count) reservoir.kept[slot] = entry;
+      }
+      reservoir.seen++;
+    }
+
+    // Kept reads go out in file order, so the subset reads like a shorter run
+    const kept = [...reservoirs.values()].flatMap(reservoir => reservoir.kept).sort((a, b) => a.index - b.index);
+    stats.reads_kept = kept.length;
+    if (this.per === 'sample') stats.samples = reservoirs.size;
+    for (const { item } of kept) yield item;
+  }
+
+  getReport() {
+    const inputs = Object.values(this.stats);
+    return {
+      count: this.count,
+      fraction: this.fraction,
+      per: this.per,
+      seed: this.seed,
+      reads_seen: inputs.reduce((sum, stats) => sum + stats.reads_seen, 0),
+      reads_kept: inputs.reduce((sum, stats) => sum + stats.reads_kept, 0),
+      inputs: this.stats
+    };
+  }
+}
+
+// FNV-1a over the input (or sample) name, started from the configured seed
+function inputSeed(seed, inputName) {
+  let hash = (0x811C9DC5 ^ seed) >>> 0;
+  for (let i = 0; i < inputName.length; i++) {
+    hash = Math.imul(hash ^ inputName.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return hash;
+}
@@ -0,0 +1,210 @@
+import fs from 'fs';
+import path from 'path';
+import { createInterface } from 'readline';
+import { createRandom } from './sequence-utils.js';
+import { FastqParser } from './fastq-parser.js';
+
+export const TAXONOMY_RANKS = ['kingdom', 'phylum', 'class', 'order', 'family', 'genus'];
+const BASE_CODES = { A: 0, C: 1, G: 2, T: 3 };
+// Greengenes (k__), SILVA/QIIME (D_0__) and GTDB-style (d__) rank prefixes
+const RANK_PREFIX = /^(?:[a-z]__|D_\d+__)/;
+const MAX_CACHED_SEQUENCES = 100000;
+
+// Naive Bayes classifier after Wang et al. (2007), the RDP Classifier: genus-level word
+// probabilities from k-mer presence, with rank confidences from bootstrapped word subsets
+export class TaxonomyClassifier {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? false;
+    this.referenceFasta = options.referenceFasta || './reference/16S_reference.fasta';
+    this.taxonomyFile = options.taxonomyFile || './reference/16S_taxonomy.tsv';
+    this.k = options.k ?? 8;
+    this.bootstraps = options.bootstraps ?? 100;
+    this.minConfidence = options.minConfidence ?? 0.8;
+    this.seed = options.seed ?? 42;
+
+    if (!Number.isInteger(this.k) || this.k < 4 || this.k > 12) {
+      throw new Error(`Classifier word size must be an integer between 4 and 12, got ${this.k}`);
+    }
+    this.trained = false;
+    this.cache = new Map();
+  }
+
+  parseLineage(taxonomy) {
+    const names = taxonomy.split(';').map(name => name.trim().replace(RANK_PREFIX, ''));
+    return TAXONOMY_RANKS.map((rank, index) => names[index] || '');
+  }
+
+  async loadTaxonomy() {
+    const taxonomy = new Map();
+    const lines = createInterface({ input: fs.createReadStream(this.taxonomyFile), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim() || line.startsWith('#') || line.startsWith('Feature ID')) continue;
+      const [id, lineage] = line.split('\t');
+      if (id && lineage) taxonomy.set(id.trim(), this.parseLineage(lineage));
+    }
+    return taxonomy;
+  }
+
+  async *readReference() {
+    // Shares the FASTA reader with the read inputs, so references may also be gzipped
+    const parser = new FastqParser({ validation: 'lenient' });
+    for await (const { header, sequence } of parser.records(this.referenceFasta)) {
+      yield { id: header.split(/\s+/)[0], sequence };
+    }
+  }
+
+  words(sequence) {
+    const words = new Set();
+    const upper = sequence.toUpperCase();
+    const mask = (1 << (2 * this.k)) - 1;
+    let word = 0;
+    let valid = 0;
+    for (let i = 0; i < upper.length; i++) {
+      const code = BASE_CODES[upper[i]];
+      if (code === undefined) {
+        valid = 0;
+        continue;
+      }
+      word = ((word << 2) | code) & mask;
+      if (++valid >= this.k) words.add(word);
+    }
+    return [...words];
+  }
+
+  async train() {
+    const taxonomy = await this.loadTaxonomy();
+    this.genera = [];
+    const genusIndex = new Map();
+    this.wordDocuments = new Uint32Array(1 << (2 * this.k));
+    this.referenceCount = 0;
+    this.unlabelled = 0;
+
+    for await (const { id, sequence } of this.readReference()) {
+      const lineage = taxonomy.get(id);
+      if (!lineage || !lineage[0]) {
+        this.unlabelled++;
+        continue;
+      }
+
+      // Genera are keyed by their whole lineage so homonyms in different families stay apart
+      const key = lineage.join(';');
+      if (!genusIndex.has(key)) {
+        genusIndex.set(key, this.genera.length);
+        this.genera.push({ lineage, sequences: 0, wordCounts: new Map() });
+      }
+      const genus = this.genera[genusIndex.get(key)];
+      genus.sequences++;
+      for (const word of this.words(sequence)) {
+        this.wordDocuments[word]++;
+        genus.wordCounts.set(word, (genus.wordCounts.get(word) || 0) + 1);
+      }
+      this.referenceCount++;
+    }
+
+    if (this.genera.length === 0) {
+      throw new Error(`No reference sequences in ${this.referenceFasta} have a taxonomy in ${this.taxonomyFile}`);
+    }
+    this.trained = true;
+    this.cache.clear();
+  }
+
+  wordLogProbabilities(words) {
+    // log P(word | genus) for every genus and query word, as a genus-major matrix
+    const matrix = this.genera.map(() => new Float64Array(words.length));
+    words.forEach((word, wordIndex) => {
+      const prior = (this.wordDocuments[word] + 0.5) / (this.referenceCount + 1);
+      this.genera.forEach((genus, genusIndex) => {
+        matrix[genusIndex][wordIndex] = Math.log(((genus.wordCounts.get(word) || 0) + prior) / (genus.sequences + 1));
+      });
+    });
+    return matrix;
+  }
+
+  bestGenus(matrix, wordIndices) {
+    let best = 0;
+    let bestScore = -Infinity;
+    matrix.forEach((row, genusIndex) => {
+      let score = 0;
+      for (const wordIndex of wordIndices) score += row[wordIndex];
+      if (score > bestScore) {
+        bestScore = score;
+        best = genusIndex;
+      }
+    });
+    return best;
+  }
+
+  classify(sequence) {
+    const key = sequence.toUpperCase();
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    const words = this.words(key);
+    let result;
+    if (words.length === 0) {
+      result = { lineage: TAXONOMY_RANKS.map(() => ''), confidence: TAXONOMY_RANKS.map(() => 0) };
+    } else {
+      const matrix = this.wordLogProbabilities(words);
+      const allWords = words.map((word, index) => index);
+      const assigned = this.genera[this.bestGenus(matrix, allWords)].lineage;
+
+      // Each bootstrap draws 1/k of the words with replacement, as the RDP Classifier does
+      const random = createRandom(this.seed);
+      const sampleSize = Math.max(1, Math.floor(words.length / this.k));
+      const agreement = TAXONOMY_RANKS.map(() => 0);
+      for (let b = 0; b < this.bootstraps; b++) {
+        const sample = Array.from({ length: sampleSize }, () => Math.floor(random() * words.length));
+        const lineage = this.genera[this.bestGenus(matrix, sample)].lineage;
+        for (let rank = 0; rank < TAXONOMY_RANKS.length && lineage[rank] === assigned[rank]; rank++) {
+          agreement[rank]++;
+        }
+      }
+      result = { lineage: assigned, confidence: agreement.map(count => +(count / this.bootstraps).toFixed(2)) };
+    }
+
+    if (this.cache.size < MAX_CACHED_SEQUENCES) this.cache.set(key, result);
+    return result;
+  }
+
+  assignedRanks(result) {
+    // Ranks are reported down to the last one that still meets minConfidence
+    const depth = result.confidence.findIndex(confidence => confidence < this.minConfidence);
+    return depth === -1 ? TAXONOMY_RANKS.length : depth;
+  }
+
+  toColumns(result) {
+    const columns = {};
+    const depth = result ? this.assignedRanks(result) : 0;
+    TAXONOMY_RANKS.forEach((rank, index) => {
+      columns[rank] = index < depth ? result.lineage[index] : '';
+    });
+    columns.taxonomy_confidence = depth > 0 ? result.confidence[depth - 1] : '';
+    return columns;
+  }
+
+  writeAssignments(outputDir, sequences) {
+    const outputFile = path.join(outputDir, 'taxonomy.tsv');
+    const lines = ['Feature ID\tTaxon\tConfidence\t' + TAXONOMY_RANKS.map(rank => `${rank}_confidence`).join('\t')];
+    sequences.forEach(({ id, sequence }) => {
+      const result = this.classify(sequence);
+      const depth = this.assignedRanks(result);
+      const taxon = depth > 0 ? result.lineage.slice(0, depth).join('; ') : 'Unassigned';
+      const confidence = depth > 0 ? result.confidence[depth - 1] : result.confidence[0];
+      lines.push([id, taxon, confidence, ...result.confidence].join('\t'));
+    });
+    fs.writeFileSync(outputFile, lines.join('\n') + '\n');
+    return outputFile;
+  }
+
+  getReport() {
+    return {
+      reference_fasta: this.referenceFasta,
+      taxonomy_file: this.taxonomyFile,
+      reference_sequences: this.referenceCount,
+      unlabelled_references: this.unlabelled,
+      genera: this.genera.length,
+      k: this.k,
+      bootstraps: this.bootstraps,
+      min_confidence: this.minConfidence
+    };
+  }
+}
@@ -0,0 +1,57 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ArchiveExtractor } from '../src/archive-extractor.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-extractor-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A ustar member: 512-byte header, then the data padded to a whole block
+function tarMember(name, content) {
+  const header = Buffer.alloc(512);
+  const data = Buffer.from(content);
+  header.write(name, 0, 100, 'utf8');
+  header.write('0000644\0', 100, 'latin1');
+  header.write('0000000\0', 108, 'latin1');
+  header.write('0000000\0', 116, 'latin1');
+  header.write(data.length.toString(8).padStart(11, '0') + '\0', 124, 'latin1');
+  header.write('00000000000\0', 136, 'latin1');
+  header.write(' '.repeat(8), 148, 'latin1');
+  header.write('0', 156, 'latin1');
+  header.write('ustar\0' + '00', 257, 'latin1');
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 'latin1');
+  return Buffer.concat([header, data, Buffer.alloc((512 - (data.length % 512)) % 512)]);
+}
+
+test('rejects absolute paths, drive letters and any .. segment', () => {
+  const extractor = new ArchiveExtractor();
+  const root = path.join(dir, 'out');
+  assert.equal(extractor.safeTarget(root, 'run/reads.fastq'), path.join(root, 'run', 'reads.fastq'));
+  for (const name of ['../reads.fastq', 'run/../../reads.fastq', '..\\reads.fastq', '/etc/reads.fastq', 'C:/reads.fastq', 'c:reads.fastq']) {
+    assert.equal(extractor.safeTarget(root, name), null, name);
+  }
+});
+
+test('skips archive members that would land outside the output directory', async () => {
+  const archive = path.join(dir, 'reads.tar');
+  fs.writeFileSync(archive, Buffer.concat([
+    tarMember('run/reads.fastq', '@r1\nACGT\n+\nIIII\n'),
+    tarMember('../escaped.fastq', '@r2\nACGT\n+\nIIII\n'),
+    tarMember('run/../../escaped.fastq', '@r3\nACGT\n+\nIIII\n'),
+    Buffer.alloc(1024)
+  ]));
+  const outputDir = path.join(dir, 'nested', 'out');
+
+  const result = await new ArchiveExtractor().extract(archive, outputDir);
+  assert.deepEqual(result.skipped.map(({ name, reason }) => [name, reason]), [
+    ['../escaped.fastq', 'unsafe_path'],
+    ['run/../../escaped.fastq', 'unsafe_path']
+  ]);
+  assert.equal(result.extracted.length, 1);
+  assert.ok(fs.existsSync(path.join(outputDir, 'run', 'reads.fastq')));
+  assert.ok(!fs.existsSync(path.join(dir, 'nested', 'escaped.fastq')));
+  assert.ok(!fs.existsSync(path.join(dir, 'escaped.fastq')));
+});
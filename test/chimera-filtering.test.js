@@ -0,0 +1,88 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DataExtractor } from '../src/data-extractor.js';
+import { createRandom } from '../src/sequence-utils.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chimera-filtering-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const random = createRandom(11);
+const randomSequence = (length) => Array.from({ length }, () => 'ACGT'[Math.floor(random() * 4)]).join('');
+const PARENT_A = randomSequence(80);
+const PARENT_B = randomSequence(80);
+const CHIMERA = PARENT_A.substring(0, 40) + PARENT_B.substring(40);
+
+function writeFastq(name, reads) {
+  const lines = reads.flatMap(([sequence, count], index) => Array.from({ length: count }, (_, copy) =>
+    [`@read${index}_${copy}`, sequence, '+', 'I'.repeat(sequence.length)].join('\n')));
+  fs.writeFileSync(path.join(dir, 'extracted', name), lines.join('\n') + '\n');
+}
+
+async function runExtractor(options) {
+  const extractor = new DataExtractor({ chimeraDetection: { enabled: true }, ...options });
+  extractor.extractedDir = path.join(dir, 'extracted');
+  extractor.outputDir = fs.mkdtempSync(path.join(dir, 'output-'));
+  const rows = [];
+  for await (const row of extractor.streamFastqFeatures()) rows.push(row);
+  // Rows carry ids only; the unfiltered uniques map them back to their sequences
+  const sequences = new Map(extractor.dereplicator.uniques().map(unique => [unique.id, unique.sequence]));
+  return { extractor, rows: rows.map(row => ({ ...row, sequence: sequences.get(row.sequence_id) })) };
+}
+
+fs.mkdirSync(path.join(dir, 'extracted'));
+writeFastq('S1.fastq', [[PARENT_A, 30], [PARENT_B, 20], [CHIMERA, 4]]);
+
+test('discarded chimeras are gone from the rows, every feature table and the rarefied table', async () => {
+  const { extractor, rows } = await runExtractor({
+    dereplication: { enabled: true, output: 'uniques' },
+    otuClustering: { enabled: true },
+    rarefaction: { enabled: true, depth: 40 }
+  });
+
+  assert.equal(extractor.reports.chimera_detection.chimeras, 1);
+  assert.deepEqual(rows.map(row => row.sequence).sort(), [PARENT_A, PARENT_B].sort());
+  for (const [name, features] of Object.entries(extractor.featureTables)) {
+    assert.ok(features.every(feature => feature.sequence !== CHIMERA), `${name} still has the chimera`);
+  }
+  assert.equal(extractor.featureTables.otu_table.reduce((sum, otu) => sum + otu.abundance, 0), 50);
+});
+
+test('alpha diversity only counts the features left after chimera filtering', async () => {
+  const { extractor } = await runExtractor({
+    dereplication: { enabled: true, output: 'uniques' },
+    alphaDiversity: { enabled: true }
+  });
+
+  const [alpha] = extractor.alphaDiversity.values();
+  assert.equal(alpha.observed_features, 2);
+  assert.equal(alpha.chao1, 2);
+  assert.equal(alpha.ace, 2);
+});
+
+test('rarefaction depth is checked against the reads left after chimera filtering', async () => {
+  // 54 reads were sequenced but only 50 survive, so a depth of 52 drops the sample
+  const { extractor } = await runExtractor({
+    dereplication: { enabled: true, output: 'uniques' },
+    rarefaction: { enabled: true, depth: 52 }
+  });
+
+  assert.equal(extractor.reports.rarefaction.feature_table, 'dereplicated');
+  assert.equal(extractor.featureTables.rarefied.length, 0);
+});
+
+test('flagged chimeras stay in the rows with is_chimera set', async () => {
+  const { rows } = await runExtractor({
+    dereplication: { enabled: true, output: 'uniques' },
+    chimeraDetection: { enabled: true, action: 'flag' }
+  });
+
+  const flags = Object.fromEntries(rows.map(row => [row.sequence, row.is_chimera]));
+  assert.deepEqual(flags, { [PARENT_A]: 0, [PARENT_B]: 0, [CHIMERA]: 1 });
+});
+
+test('chimera detection refuses per-read rows', () => {
+  assert.throws(() => new DataExtractor({ chimeraDetection: { enabled: true }, dereplication: { enabled: true } }), /collapsed rows/);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Denoiser } from '../src/denoiser.js';
+import { createRandom } from '../src/sequence-utils.js';
+
+const random = createRandom(7);
+const TRUE_SEQUENCE = Array.from({ length: 120 }, () => 'ACGT'[Math.floor(random() * 4)]).join('');
+
+function substitute(sequence, position) {
+  const base = sequence[position] === 'A' ? 'C' : 'A';
+  return sequence.substring(0, position) + base + sequence.substring(position + 1);
+}
+
+function addReads(denoiser, sequence, count, sample = 'S1') {
+  for (let i = 0; i < count; i++) denoiser.add({ sequence, quality: 'I'.repeat(sequence.length) }, sample);
+}
+
+test('folds substitution and deletion errors into the variant they came from', () => {
+  const denoiser = new Denoiser({ enabled: true });
+  let variant = TRUE_SEQUENCE;
+  for (let position = 5; position < 120; position += 12) variant = substitute(variant, position);
+
+  addReads(denoiser, TRUE_SEQUENCE, 1000);
+  addReads(denoiser, variant, 400, 'S2');
+  addReads(denoiser, substitute(TRUE_SEQUENCE, 30), 3);
+  // One base shorter than every ASV, so it can only join one through an alignment
+  addReads(denoiser, TRUE_SEQUENCE.substring(0, 60) + TRUE_SEQUENCE.substring(61), 3);
+
+  const asvs = denoiser.denoise();
+  assert.deepEqual(asvs.map(asv => asv.sequence), [TRUE_SEQUENCE, variant]);
+  assert.deepEqual(asvs.map(asv => asv.abundance), [1006, 400]);
+  assert.equal(denoiser.unassignedReads, 0);
+});
@@ -0,0 +1,53 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FastqParser, FastqValidationError } from '../src/fastq-parser.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fastq-parser-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+let fileCount = 0;
+
+function writeFastq(lines) {
+  const file = path.join(dir, `reads${++fileCount}.fastq`);
+  fs.writeFileSync(file, lines.join('\n') + '\n');
+  return file;
+}
+
+async function parse(file, options = {}) {
+  const parser = new FastqParser(options);
+  const records = [];
+  for await (const record of parser.records(file)) records.push(record);
+  return { parser, records };
+}
+
+test('resyncs after a damaged record whose quality string starts with @', async () => {
+  const file = writeFastq([
+    '@read1', 'ACGT', '+', 'IIII',
+    'read2 lost its @', 'ACGT', '+', '@III',
+    '@read3', 'ACGT', '+', 'IIII',
+    '@read4', 'GGCC', '+', 'IIHH'
+  ]);
+
+  const { parser, records } = await parse(file);
+  assert.deepEqual(records.map(record => record.header), ['read1', 'read3', 'read4']);
+  assert.deepEqual(records.map(record => record.sequence), ['ACGT', 'ACGT', 'GGCC']);
+  assert.equal(records[2].quality, 'IIHH');
+  assert.deepEqual(parser.getValidationReport().issue_counts, { invalid_header: 1 });
+});
+
+test('resyncs onto a record whose sequence wraps over several lines', async () => {
+  const file = writeFastq([
+    'garbage', '@@@@', '@read2', 'ACGT', 'TTGA', '+', 'IIIIIIII',
+    '@read3', 'CCCC', '+', 'IIII'
+  ]);
+
+  const { records } = await parse(file);
+  assert.deepEqual(records.map(record => [record.header, record.sequence]), [['read2', 'ACGTTTGA'], ['read3', 'CCCC']]);
+});
+
+test('stops at the first damaged record under the strict policy', async () => {
+  const file = writeFastq(['@read1', 'ACGT', '+', 'IIII', 'read2', 'ACGT', '+', 'IIII']);
+  await assert.rejects(parse(file, { validation: 'strict' }), FastqValidationError);
+});
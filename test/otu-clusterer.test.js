@@ -0,0 +1,36 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { OtuClusterer } from '../src/otu-clusterer.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'otu-clusterer-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const CENTROID = 'ACGTTGCAACGTAGCTAGCTAGGATCCGATCGATCGTAGCTAGCTAGCATCGATCGATGCATGCAAGTCGATCGTAGCTAGCTAGC';
+// Two substitutions in 86 bases: about 97.7% identical, so it joins the centroid's OTU
+const VARIANT = 'T' + CENTROID.substring(1, 40) + 'A' + CENTROID.substring(41);
+const OTHER = 'TTTTGGGGCCCCAAAATTTTGGGGCCCCAAAACGCGCGCGATATATATGCGCGCATATATCGCGTTTTGGGGCCCCAAAAGGGG';
+
+test('assigns every read id to the OTU its unique sequence joined', async () => {
+  const clusterer = new OtuClusterer({ enabled: true, minSize: 2 });
+  const reads = [['r1', 'S1', CENTROID], ['r2', 'S2', VARIANT], ['r3', 'S1', CENTROID], ['r4', 'S2', OTHER], ['r5', 'S1', VARIANT]];
+  for (const [id, sample, sequence] of reads) {
+    await clusterer.add({ header: `${id} 1:N:0:1`, sequence }, sample);
+  }
+
+  const { assignmentsFile, otus } = await clusterer.writeOutputs(dir);
+  assert.equal(otus.length, 1);
+  const rows = fs.readFileSync(assignmentsFile, 'utf8').trim().split('\n').map(line => line.split('\t'));
+  assert.deepEqual(rows.map(row => row.slice(0, 3)), [
+    ['read_id', 'sample', 'otu_id'],
+    ['r1', 'S1', 'OTU1'],
+    ['r2', 'S2', 'OTU1'],
+    ['r3', 'S1', 'OTU1'],
+    // Seen once, below minSize, so it is in no OTU
+    ['r4', 'S2', ''],
+    ['r5', 'S1', 'OTU1']
+  ]);
+  assert.equal(clusterer.spoolFile, null);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReadPairer } from '../src/read-pairer.js';
+import { reverseComplement } from '../src/sequence-utils.js';
+
+const AMPLICON = 'TACGGAGGGTGCAAGCGTTAATCGGAATTACTGGGCGTAAAGCGCACGCAGGCGGTTTGTTAAGTCAGATGTGAAATCCCCGGGCT';
+
+function read(sequence, id = 'pair1') {
+  return { header: `${id} 1:N:0`, sequence, plus: '+', quality: 'I'.repeat(sequence.length) };
+}
+
+test('merges mates that overlap inside the amplicon', () => {
+  const pairer = new ReadPairer();
+  const r1 = read(AMPLICON.substring(0, 60));
+  const r2 = read(reverseComplement(AMPLICON.substring(30)));
+
+  const merged = pairer.mergePair(r1, r2);
+  assert.equal(merged.sequence, AMPLICON);
+  assert.equal(merged.overlap_length, 30);
+  assert.equal(merged.quality.length, AMPLICON.length);
+});
+
+test('merges staggered mates that read past each other into adapter', () => {
+  const pairer = new ReadPairer();
+  const amplicon = AMPLICON.substring(0, 50);
+  const r1 = read(amplicon + 'AGATCGGAAGAGCACACGTC');
+  const r2 = read(reverseComplement(amplicon) + 'AGATCGGAAGAGCGTCGTGT');
+
+  const merged = pairer.mergePair(r1, r2);
+  assert.ok(merged, 'staggered pair was not merged');
+  assert.equal(merged.sequence, amplicon);
+  assert.equal(merged.overlap_length, amplicon.length);
+});
+
+test('leaves pairs without an overlap unmerged', () => {
+  const pairer = new ReadPairer();
+  const r1 = read(AMPLICON.substring(0, 30));
+  const r2 = read(reverseComplement(AMPLICON.substring(60)));
+  assert.equal(pairer.mergePair(r1, r2), null);
+});
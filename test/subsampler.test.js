@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Subsampler } from '../src/subsampler.js';
+
+const reads = (sample, count) => Array.from({ length: count }, (_, index) => ({ id: `${sample}_${index}`, sample_name: sample }));
+
+async function keptIds(subsampler, items, inputName) {
+  const kept = [];
+  for await (const item of subsampler.sample(items, inputName)) kept.push(item.id);
+  return kept;
+}
+
+test('keeps the same reads for the same seed and input', async () => {
+  const items = reads('S1', 200);
+  const first = await keptIds(new Subsampler({ enabled: true, count: 20 }), items, 'a.fastq');
+  const second = await keptIds(new Subsampler({ enabled: true, count: 20 }), items, 'a.fastq');
+  assert.equal(first.length, 20);
+  assert.deepEqual(first, second);
+
+  const other = await keptIds(new Subsampler({ enabled: true, count: 20 }), items, 'b.fastq');
+  assert.notDeepEqual(first, other);
+});
+
+test('draws a fraction per sample, independent of the samples around it', async () => {
+  const options = { enabled: true, fraction: 0.3, per: 'sample' };
+  const alone = await keptIds(new Subsampler(options), reads('S1', 300), 'run.fastq');
+  const mixed = await keptIds(new Subsampler(options), reads('S1', 300).flatMap((read, index) => [read, reads('S2', 300)[index]]), 'run.fastq');
+  assert.deepEqual(mixed.filter(id => id.startsWith('S1_')), alone);
+});
+
+test('rejects a per-sample quota for a sample that spans several inputs', () => {
+  const subsampler = new Subsampler({ enabled: true, count: 10, per: 'sample' });
+  subsampler.claimSample('S1', 'lane1.fastq');
+  subsampler.claimSample('S1', 'lane1.fastq');
+  subsampler.claimSample('S2', 'lane2.fastq');
+  assert.throws(() => subsampler.claimSample('S1', 'lane2.fastq'), /S1.*lane1\.fastq and lane2\.fastq/);
+});